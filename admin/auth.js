@@ -0,0 +1,23 @@
+// admin/auth.js
+// Guards the /admin/* endpoints (prompt editing etc.).
+//
+// ENV:
+//   ADMIN_TOKEN=   required; send as "Authorization: Bearer <token>" or "X-Admin-Token: <token>"
+//
+// Like the webhooks (hubspot/webhookAuth.js), admin endpoints are closed when no token is configured.
+
+import dotenv from "dotenv";
+import { safeEqual } from "../hubspot/webhookAuth.js";
+dotenv.config();
+
+export function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN || "";
+  if (!token) return res.status(503).json({ ok: false, error: "Admin endpoints disabled: set ADMIN_TOKEN" });
+
+  const auth = req.get("authorization") || "";
+  const provided = (auth.match(/^Bearer\s+(.+)$/i)?.[1] || req.get("x-admin-token") || "").trim();
+  if (provided && safeEqual(provided, token)) return next();
+
+  console.warn(`[admin] Rejected ${req.method} ${req.originalUrl} from ${req.ip}`);
+  return res.status(401).json({ ok: false, error: "Unauthorized" });
+}
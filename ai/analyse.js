@@ -1,10 +1,12 @@
 // ai/analyse.js
-import fetch from "node-fetch";
 import dotenv from "dotenv";
+import { chatJSON } from "./llm.js";
+import { SCHEMAS } from "./schemas.js";
+import { buildMessages } from "./prompts.js";
+import { condenseTranscript } from "./longCall.js";
+import { scoreAnalysis, applyOverrides } from "./scoring.js";
 dotenv.config();
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-
 // --- helpers ---
 const clamp = (n, min, max, fallback = null) => {
   const v = typeof n === "number" ? n : Number(n);
@@ -44,118 +46,24 @@ function inferProduct(transcript) {
   if (hasFIC)  return "FIC";
   return "";
 }
-function raiseIfMissingKey(key) {
-  if (!OPENAI_API_KEY) throw new Error(`Missing OPENAI_API_KEY`);
-}
-
-// --- OpenAI call with robust system+user prompt ---
-async function callOpenAI_JSON(prompt, transcript, jsonSchema) {
-  raiseIfMissingKey();
-  const sys = [
-    "You are TLPI’s AI Call Analyst.",
-    "Task: Analyse **Initial Consultation** calls only.",
-    "Be precise, UK English, and NEVER guess.",
-    "If information isn’t present, output an empty string or empty array as appropriate.",
-    "Return STRICTLY valid JSON matching the schema.",
-  ].join(" ");
-
-  const user = [
-    "COMPANY CONTEXT:",
-    "- TLPI helps UK company directors with SSAS pensions or Family Investment Companies (FIC).",
-    "- Objective of Initial Consultation: explain benefits, surface objections, agree concrete next steps, ideally gain agreement to sign the client agreement (‘Proceed now’).",
-    "",
-    "EVALUATION NOTES:",
-    "- Use the transcript only; do not invent data.",
-    "- Product interest: SSAS, FIC, or Both (if both discussed).",
-    "- ‘Proceed now’ means they agreed to sign the client agreement (or equivalent explicit commitment).",
-    "- If commitment language is clear, set sales_performance_rating >= 8.",
-    "",
-    "TRANSCRIPT:",
-    transcript,
-    "",
-    "INSTRUCTIONS:",
-    prompt,
-  ].join("\n");
-
-  const body = {
-    model: "gpt-4o-mini",
-    response_format: { type: "json_object" },
-    temperature: 0.2,
-    messages: [
-      { role: "system", content: sys },
-      { role: "user", content: user }
-    ]
-  };
-
-  const res = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: { "Authorization": `Bearer ${OPENAI_API_KEY}`, "Content-Type": "application/json" },
-    body: JSON.stringify(body),
+// --- LLM call (prompt: prompts/initial-consultation.md) ---
+async function callLLM_JSON(transcript, { usage, schemaFailures, responses, longCall } = {}) {
+  const input = await condenseTranscript(transcript, { usage, schemaFailures, responses, longCall });
+  const { messages, model, promptVersion } = await buildMessages("initial_consultation", input);
+  const js = await chatJSON({
+    callType: "initial_consultation",
+    model,
+    messages,
+    schema: SCHEMAS.initial_consultation,
+    usage,
+    schemaFailures,
+    responses,
   });
-  if (!res.ok) {
-    const t = await res.text().catch(() => "");
-    throw new Error(`OpenAI error ${res.status}: ${t}`);
-  }
-  const data = await res.json();
-  const text = data?.choices?.[0]?.message?.content ?? "{}";
-  let js;
-  try { js = JSON.parse(text); }
-  catch {
-    // retry once with stricter instruction
-    const retry = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: { "Authorization": `Bearer ${OPENAI_API_KEY}`, "Content-Type": "application/json" },
-      body: JSON.stringify({ ...body, temperature: 0, messages: [
-        { role: "system", content: sys },
-        { role: "user", content: user + "\nReturn ONLY valid JSON object. Do not wrap in code fences." }
-      ]})
-    });
-    const d2 = await retry.json();
-    const t2 = d2?.choices?.[0]?.message?.content ?? "{}";
-    js = JSON.parse(t2);
-  }
-  return js;
+  return { js, promptVersion };
 }
 
-// --- master prompt (Initial Consultation) ---
-const PROMPT_INITIAL_CONSULTATION = `
-Return JSON with these keys:
-- call_type: string ("Initial Consultation")
-- likelihood_to_close: number (0-100, integer)
-- outcome: string (one of: Proceed now, Likely, Unclear, Not now, No fit)
-- objections: string[] (short labels like "Fees/cost")
-- next_actions: string[] (concrete, ordered)
-- materials_to_send: string[] (e.g. "Client Agreement", "Fee schedule")
-- ai_decision_criteria: string[] (e.g. "Fees/Cost", "Timeline/Speed")
-- key_details: object with keys:
-    client_name?: string
-    company_name?: string
-    products_discussed?: string[] (subset of ["SSAS","FIC"])
-    timeline?: string
-    dob?: string
-    ni?: string
-    utr?: string
-    address?: string
-    nationality?: string
-    pension_refs?: string
-    company_details?: string
-- sales_performance_rating: number (1-10)
-- sales_performance_summary: string (<=4 bullets, plain text; "What went well"/"Areas to improve")
-- score_reasoning: string (why likelihood_to_close is what it is, short)
-- increase_likelihood: string (3 bullets, terse)
-- consult_eval: object with keys set to 0, 0.5 or 1:
-    intro, rapport_open, open_question, needs_pain_uncovered,
-    services_explained_clearly, benefits_linked_to_needs, active_listening,
-    clear_responses_or_followup, commitment_requested, next_steps_confirmed,
-    specific_tax_estimate_given, fees_tax_deductible_explained,
-    next_step_specific_date_time, interactive_throughout, quantified_value_roi
-Rules:
-- If the client **explicitly agrees to proceed/sign** on the call, set outcome="Proceed now" and sales_performance_rating>=8.
-- If any field is not present in transcript, use "" or [] appropriately (not "N/A").
-`;
-
 // --- export: analyseTranscript ---
-export async function analyseTranscript(callTypeLabel, transcript) {
+export async function analyseTranscript(callTypeLabel, transcript, opts = {}) {
   // 1) Basic sanity on transcript
   const t = asText(transcript);
   if (t.length < 24 || /no (audio|sound)|silence|silent/i.test(t)) {
@@ -177,8 +85,8 @@ export async function analyseTranscript(callTypeLabel, transcript) {
     };
   }
 
-  // 2) Call OpenAI
-  let js = await callOpenAI_JSON(PROMPT_INITIAL_CONSULTATION, t);
+  // 2) Call the LLM
+  let { js, promptVersion } = await callLLM_JSON(t, opts);
   // 3) Normalise + safe defaults
   const call_type = "Initial Consultation";
   const likelihood_to_close = clamp(js.likelihood_to_close, 0, 100, 0) ?? 0;
@@ -225,14 +133,11 @@ export async function analyseTranscript(callTypeLabel, transcript) {
   }
 
   // sales performance rating
-  let sales_performance_rating = clamp(js.sales_performance_rating, 1, 10, 1) ?? 1;
-  // If outcome = Proceed now → ensure >=8 as agreed
-  if (outcome === "Proceed now" && sales_performance_rating < 8) {
-    sales_performance_rating = 8;
-  }
+  const sales_performance_rating = clamp(js.sales_performance_rating, 1, 10, 1) ?? 1;
 
   const result = {
     call_type,
+    prompt_version: promptVersion,
     likelihood_to_close,
     outcome,
     objections,
@@ -260,5 +165,10 @@ export async function analyseTranscript(callTypeLabel, transcript) {
   }
   result.__data_points_captured_text = dpParts.length ? dpParts.join("\n") : "Not mentioned.";
 
+  // Scorecard score (config/rubrics.js); its overrides (Proceed now → at least 8) also
+  // apply to the model's own rating
+  result.sales_performance_rating = applyOverrides("initial_consultation", result, sales_performance_rating);
+  result.rubric_score = scoreAnalysis("initial_consultation", result);
+
   return result;
 }
\ No newline at end of file
@@ -0,0 +1,54 @@
+// ai/analyseApplication.js
+// Analyses Application meetings (paperwork completion) for TLPI.
+// Not a sales call: no sales scoring, only new objections, missing information and completion steps.
+import dotenv from "dotenv";
+import { chatJSON } from "./llm.js";
+import { SCHEMAS } from "./schemas.js";
+import { buildMessages } from "./prompts.js";
+import { condenseTranscript } from "./longCall.js";
+dotenv.config();
+
+function asText(v, fb = "") { const s = (v ?? "").toString().trim(); return s || fb; }
+function asList(v) {
+  if (Array.isArray(v)) return v.map(x => asText(x)).filter(Boolean);
+  const s = asText(v); if (!s) return [];
+  return s.split(/[\n;•|]+/).map(t => t.replace(/^[-\s]+/, "").trim()).filter(Boolean);
+}
+const isNotMentioned = (s) => /^(not mentioned|none|n\/a|no objections?)\.?$/i.test(asText(s));
+
+// --- LLM call helper (prompt: prompts/application-meeting.md) ---
+async function callLLM_JSON(transcript, { usage, schemaFailures, responses, longCall } = {}) {
+  const input = await condenseTranscript(transcript, { usage, schemaFailures, responses, longCall });
+  const { messages, model, promptVersion } = await buildMessages("application", input);
+  const js = await chatJSON({
+    callType: "application",
+    model,
+    messages,
+    schema: SCHEMAS.application,
+    usage,
+    schemaFailures,
+    responses,
+  });
+  return { js, promptVersion };
+}
+
+export async function analyseApplication(transcript, opts = {}) {
+  const t = asText(transcript);
+  if (t.length < 25) {
+    return {
+      call_type: "Application meeting",
+      ai_application_objections: "",
+      ai_application_missing_information: [],
+      ai_next_steps: [],
+    };
+  }
+  const { js, promptVersion } = await callLLM_JSON(t, opts);
+
+  return {
+    call_type: "Application meeting",
+    prompt_version: promptVersion,
+    ai_application_objections: isNotMentioned(js.ai_application_objections) ? "" : asText(js.ai_application_objections),
+    ai_application_missing_information: asList(js.ai_application_missing_information).filter(s => !isNotMentioned(s)),
+    ai_next_steps: asList(js.ai_next_steps).filter(s => !isNotMentioned(s)),
+  };
+}
@@ -0,0 +1,107 @@
+// ai/analyseFollowUp.js
+// Analyses Follow-up Calls (after an Initial Consultation) for TLPI
+import dotenv from "dotenv";
+import { chatJSON } from "./llm.js";
+import { SCHEMAS } from "./schemas.js";
+import { buildMessages } from "./prompts.js";
+import { condenseTranscript } from "./longCall.js";
+import { applyOverrides } from "./scoring.js";
+dotenv.config();
+
+function asText(v, fb = "") { const s = (v ?? "").toString().trim(); return s || fb; }
+function asList(v) {
+  if (Array.isArray(v)) return v.map(x => asText(x)).filter(Boolean);
+  const s = asText(v); if (!s) return [];
+  return s.split(/[\n;•|]+/).map(t => t.replace(/^[-\s]+/, "").trim()).filter(Boolean);
+}
+function clamp(n, min, max, fb = null) {
+  const v = typeof n === "number" ? n : Number(n);
+  return Number.isFinite(v) ? Math.min(max, Math.max(min, v)) : fb;
+}
+
+export const FOLLOWUP_OUTCOMES = ["Closed", "Likely", "Unclear", "Not now", "No fit"];
+
+function normaliseFollowUpOutcome(s) {
+  const t = asText(s).toLowerCase();
+  if (!t) return "Unclear";
+  if (/(closed|proceed|sign|signed|agreed|commit|paid|payment)/.test(t)) return "Closed";
+  if (/(likely|positive|leaning|keen)/.test(t)) return "Likely";
+  if (/(not\s+now|pause|later|defer)/.test(t)) return "Not now";
+  if (/(no\s+fit|not\s+interested|decline)/.test(t)) return "No fit";
+  return "Unclear";
+}
+function normaliseMaterialsReviewed(s) {
+  const t = asText(s).toLowerCase();
+  if (/^(yes|y|fully|all)\b/.test(t)) return "Yes";
+  if (/(part|some|skim)/.test(t)) return "Partly";
+  if (/^(no|n|not)\b/.test(t)) return "No";
+  return "No";
+}
+function normaliseProduct(s) {
+  const t = asText(s).toLowerCase();
+  const ssas = /ssas|saas|\bsas\b/.test(t);
+  const fic = /\bfic\b|family investment/.test(t);
+  if (/both/.test(t) || (ssas && fic)) return "Both";
+  if (ssas) return "SSAS";
+  if (fic) return "FIC";
+  return "Unclear";
+}
+
+// --- LLM call helper (prompt: prompts/follow-up.md) ---
+async function callLLM_JSON(transcript, { usage, schemaFailures, responses, longCall } = {}) {
+  const input = await condenseTranscript(transcript, { usage, schemaFailures, responses, longCall });
+  const { messages, model, promptVersion } = await buildMessages("follow_up", input);
+  const js = await chatJSON({
+    callType: "follow_up",
+    model,
+    messages,
+    schema: SCHEMAS.follow_up,
+    usage,
+    schemaFailures,
+    responses,
+  });
+  return { js, promptVersion };
+}
+
+export async function analyseFollowUp(transcript, opts = {}) {
+  const t = asText(transcript);
+  if (t.length < 25) {
+    return {
+      call_type: "Follow up call",
+      ai_followup_outcome: "Unclear",
+      ai_followup_likelihood_to_close: 1,
+      ai_materials_reviewed: "No",
+      ai_product_interest: "Unclear",
+      ai_key_objections: "",
+      ai_next_steps: "",
+      ai_followup_required_materials: "",
+      ai_decision_criteria: "",
+      sales_performance_rating: 1,
+      sales_performance_summary_bullets: ["Call contained no meaningful audio"],
+      score_reasoning: "Transcript empty/inaudible.",
+      increase_likelihood: "",
+    };
+  }
+  const { js, promptVersion } = await callLLM_JSON(t, opts);
+
+  const ai_followup_outcome = normaliseFollowUpOutcome(js.ai_followup_outcome);
+  const sales_performance_rating = applyOverrides("follow_up", { ai_followup_outcome },
+    Math.round(clamp(js.sales_performance_rating, 1, 10, 1)));
+
+  return {
+    call_type: "Follow up call",
+    prompt_version: promptVersion,
+    ai_followup_outcome,
+    ai_followup_likelihood_to_close: Math.round(clamp(js.ai_followup_likelihood_to_close, 1, 10, 1)),
+    ai_materials_reviewed: normaliseMaterialsReviewed(js.ai_materials_reviewed),
+    ai_product_interest: normaliseProduct(js.ai_product_interest),
+    ai_key_objections: asText(js.ai_key_objections),
+    ai_next_steps: asText(js.ai_next_steps),
+    ai_followup_required_materials: asText(js.ai_followup_required_materials),
+    ai_decision_criteria: asText(js.ai_decision_criteria),
+    sales_performance_rating,
+    sales_performance_summary_bullets: asList(js.sales_performance_summary_bullets).slice(0, 4),
+    score_reasoning: asText(js.score_reasoning),
+    increase_likelihood: asText(js.increase_likelihood),
+  };
+}
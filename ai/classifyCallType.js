@@ -0,0 +1,113 @@
+// ai/classifyCallType.js
+// Predicts the kind of call from the transcript (prompts/call-type.md) and decides
+// which analyser runs: the rep-selected hs_activity_type, or the prediction when
+// the rep left it blank or the model is confident the rep picked the wrong one.
+//
+// ENV:
+//   CALL_TYPE_CLASSIFIER=on               on | off (off = hs_activity_type, default Initial Consultation)
+//   CALL_TYPE_MIN_CONFIDENCE=60           blank hs_activity_type: use the prediction at or above this
+//   CALL_TYPE_OVERRIDE_CONFIDENCE=90      rep type disagrees: route by the prediction at or above this; 0 never overrides
+import dotenv from "dotenv";
+import { chatJSON } from "./llm.js";
+import { SCHEMAS } from "./schemas.js";
+import { buildMessages } from "./prompts.js";
+import { CALL_TYPES, DEFAULT_CALL_TYPE, callTypeKey } from "../config/callTypes.js";
+dotenv.config();
+
+const ENABLED = !/^(off|false|0|no)$/i.test(process.env.CALL_TYPE_CLASSIFIER || "on");
+const MIN_CONFIDENCE = Number(process.env.CALL_TYPE_MIN_CONFIDENCE ?? 60);
+const OVERRIDE_CONFIDENCE = Number(process.env.CALL_TYPE_OVERRIDE_CONFIDENCE ?? 90);
+
+const DEFAULT_LABEL = CALL_TYPES[DEFAULT_CALL_TYPE].label;
+
+// HubSpot label -> config/callTypes.js key, or null for types the classifier does not predict (e.g. "Strategy call")
+export function callTypeKind(label) {
+  const key = callTypeKey(label);
+  return key && CALL_TYPES[key].classify ? key : null;
+}
+
+// The opening says what kind of call it is; the close confirms it (booked / signed / forms)
+function excerpt(transcript, head = 12_000, tail = 4_000) {
+  const t = String(transcript || "").trim();
+  if (t.length <= head + tail) return t;
+  return `${t.slice(0, head)}\n[… middle of the call omitted …]\n${t.slice(-tail)}`;
+}
+
+/**
+ * predictCallType(transcript, { usage, schemaFailures, responses })
+ *   -> { call_type, confidence, reasoning, prompt_version }
+ */
+export async function predictCallType(transcript, { usage, schemaFailures, responses } = {}) {
+  const { messages, model, promptVersion } = await buildMessages("call_type", excerpt(transcript));
+  const js = await chatJSON({
+    callType: "call_type",
+    model,
+    messages,
+    temperature: 0,
+    schema: SCHEMAS.call_type,
+    usage,
+    schemaFailures,
+    responses,
+  });
+  return {
+    call_type: js.call_type,
+    confidence: Math.round(Math.min(100, Math.max(0, Number(js.confidence) || 0))),
+    reasoning: String(js.reasoning || "").trim(),
+    prompt_version: promptVersion,
+  };
+}
+
+/**
+ * routeCallType(repLabel, prediction) -> { typeLabel, routedBy, mismatch }
+ *   routedBy: "rep" | "classifier" | "default"
+ *   mismatch: the rep picked a type the classifier predicts differently (whatever was routed)
+ */
+export function routeCallType(repLabel, prediction) {
+  const rep = String(repLabel || "").trim();
+  const repKind = callTypeKind(rep);
+  const predKind = callTypeKind(prediction?.call_type);
+  const confidence = Number(prediction?.confidence) || 0;
+
+  if (!rep) {
+    if (predKind && confidence >= MIN_CONFIDENCE) return { typeLabel: prediction.call_type, routedBy: "classifier", mismatch: false };
+    return { typeLabel: DEFAULT_LABEL, routedBy: "default", mismatch: false };
+  }
+  const mismatch = !!(repKind && predKind && repKind !== predKind);
+  if (mismatch && OVERRIDE_CONFIDENCE > 0 && confidence >= OVERRIDE_CONFIDENCE) {
+    return { typeLabel: prediction.call_type, routedBy: "classifier", mismatch };
+  }
+  return { typeLabel: rep, routedBy: "rep", mismatch };
+}
+
+/**
+ * classifyCall(repLabel, transcript, llmOpts) -> { typeLabel, classification | null }
+ * classification is stored on the analysis as call_classification:
+ *   { call_type, confidence, reasoning, prompt_version, rep_call_type, routed_call_type, routed_by, mismatch }
+ * A failed prediction falls back to the rep type (or the default) rather than failing the job.
+ */
+export async function classifyCall(repLabel, transcript, llmOpts = {}) {
+  const rep = String(repLabel || "").trim();
+  if (!ENABLED) return { typeLabel: rep || DEFAULT_LABEL, classification: null };
+
+  let prediction = null;
+  try {
+    prediction = await predictCallType(transcript, llmOpts);
+  } catch (err) {
+    console.warn("[call-type] classification failed, using the rep-selected type:", err.message);
+  }
+  const { typeLabel, routedBy, mismatch } = routeCallType(rep, prediction);
+  if (!prediction) return { typeLabel, classification: null };
+
+  console.log(`[call-type] rep "${rep || "—"}", predicted "${prediction.call_type}" (${prediction.confidence}%) → ${typeLabel} [${routedBy}]`);
+  if (mismatch) console.warn(`[call-type] MISMATCH: rep selected "${rep}" but the transcript reads as "${prediction.call_type}"${prediction.reasoning ? ` — ${prediction.reasoning}` : ""}`);
+  return {
+    typeLabel,
+    classification: {
+      ...prediction,
+      rep_call_type: rep || null,
+      routed_call_type: typeLabel,
+      routed_by: routedBy,
+      mismatch,
+    },
+  };
+}
@@ -0,0 +1,120 @@
+// ai/diarise.js
+// Splits a plain Whisper transcript into Consultant / Prospect turns.
+// Whisper gives us no speaker info, so we number the segments (or sentences) and
+// ask the model who said each one, then merge consecutive lines from the same speaker.
+// Each turn keeps the timestamp of its first segment.
+//
+// ENV:
+//   LLM_MODEL_DIARISE / DIARISE_MODEL   (optional, see ai/llm.js)
+//   DIARISE_BATCH_LINES=150             (lines per request, optional)
+import dotenv from "dotenv";
+import { chatJSON } from "./llm.js";
+import { SCHEMAS } from "./schemas.js";
+dotenv.config();
+
+const BATCH_LINES = Number(process.env.DIARISE_BATCH_LINES) || 150;
+const CONTEXT_LINES = 4;
+
+// Added to every analyser's system message so consultant behaviours are judged on the right turns
+export const SPEAKER_NOTE =
+  "The transcript is split into turns labelled Consultant (TLPI) and Prospect (the client). " +
+  "Judge consultant behaviours only from Consultant turns and client commitments only from Prospect turns.";
+
+const TIMESTAMP_LINE = /^\[((?:\d+:)?\d{2}:\d{2})\]\s*(.*)$/;
+
+// Units to label: one per "[mm:ss] text" line when the transcript is timestamped,
+// otherwise one per sentence.
+function splitUnits(text) {
+  const lines = String(text || "").split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  if (lines.length && lines.every(l => TIMESTAMP_LINE.test(l))) {
+    return lines.map(l => {
+      const [, ts, body] = l.match(TIMESTAMP_LINE);
+      return { ts, text: body.trim() };
+    }).filter(u => u.text);
+  }
+  return String(text || "")
+    .replace(/\s+/g, " ")
+    .split(/(?<=[.?!…])\s+(?=\S)/)
+    .map(s => ({ ts: null, text: s.trim() }))
+    .filter(u => u.text);
+}
+
+function speakerLabel(role, names) {
+  const name = role === "C" ? names.consultantName : names.prospectName;
+  const base = role === "C" ? "Consultant" : "Prospect";
+  return name ? `${base} (${name})` : base;
+}
+
+async function labelBatch(lines, context, names, opts) {
+  const numbered = lines.map((s, i) => `${i + 1}. ${s}`).join("\n");
+  const before = context.length
+    ? "Preceding lines (already labelled, for context only):\n" + context.map(c => `[${c.role}] ${c.text}`).join("\n") + "\n\n"
+    : "";
+  const who = [
+    names.consultantName ? `The consultant is ${names.consultantName}.` : "",
+    names.prospectName ? `The prospect is ${names.prospectName}.` : "",
+  ].filter(Boolean).join(" ");
+
+  const js = await chatJSON({
+    callType: "diarise",
+    schema: SCHEMAS.diarise,
+    temperature: 0,
+    usage: opts.usage,
+    schemaFailures: opts.schemaFailures,
+    responses: opts.responses,
+    messages: [
+      {
+        role: "system",
+        content:
+          "You label speakers in a sales call transcript between a TLPI consultant (SSAS pensions / Family Investment Companies) and a prospective client. " +
+          `${who} The consultant explains services, asks questions and proposes next steps; the prospect describes their situation and raises objections. ` +
+          'Return STRICT JSON: {"speakers": ["C" | "P", ...]} with exactly one entry per numbered line, in order.',
+      },
+      { role: "user", content: `${before}Label each numbered line (C = consultant, P = prospect):\n${numbered}` },
+    ],
+  });
+  const raw = Array.isArray(js.speakers) ? js.speakers : [];
+
+  // Tolerate short/long answers: missing entries inherit the previous speaker
+  let prev = context.length ? context[context.length - 1].role : "C";
+  return lines.map((_, i) => {
+    const r = String(raw[i] ?? "").trim().toUpperCase();
+    prev = r.startsWith("P") ? "P" : r.startsWith("C") ? "C" : prev;
+    return prev;
+  });
+}
+
+/**
+ * diariseTranscript(transcript, { consultantName, prospectName }, { usage, schemaFailures, responses })
+ *   -> { text, turns: [{ speaker: "Consultant" | "Prospect", name, start, text }] }
+ * text is the labelled transcript handed to the analysers, one turn per paragraph:
+ *   "[01:15] Consultant (Jane Smith): ..."   (no [mm:ss] prefix for untimed input)
+ */
+export async function diariseTranscript(transcript, names = {}, opts = {}) {
+  const units = splitUnits(transcript);
+  if (!units.length) return { text: "", turns: [] };
+
+  const labelled = [];
+  for (let i = 0; i < units.length; i += BATCH_LINES) {
+    const batch = units.slice(i, i + BATCH_LINES);
+    const roles = await labelBatch(batch.map(u => u.text), labelled.slice(-CONTEXT_LINES), names, opts);
+    batch.forEach((u, j) => labelled.push({ role: roles[j], ts: u.ts, text: u.text }));
+  }
+
+  const turns = [];
+  for (const { role, ts, text } of labelled) {
+    const last = turns[turns.length - 1];
+    if (last && last.role === role) last.text += " " + text;
+    else turns.push({ role, ts, text });
+  }
+
+  const out = turns.map(t => ({
+    speaker: t.role === "C" ? "Consultant" : "Prospect",
+    name: (t.role === "C" ? names.consultantName : names.prospectName) || null,
+    start: t.ts,
+    text: t.text,
+  }));
+  const text = turns.map(t => `${t.ts ? `[${t.ts}] ` : ""}${speakerLabel(t.role, names)}: ${t.text}`).join("\n\n");
+  console.log(`[diarise] ${units.length} lines → ${turns.length} turns`);
+  return { text, turns: out };
+}
@@ -1,64 +1,32 @@
 // ai/getCombinedPrompt.js
-import { readFile } from "fs/promises";
-import path from "path";
-import { fileURLToPath } from "url";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const ROOT = path.resolve(__dirname, "..");          // /ai
-const PROMPTS_DIR = path.resolve(ROOT, "prompts");   // /prompts
-
-async function safeRead(relPath) {
-  try {
-    const p = path.resolve(PROMPTS_DIR, relPath);
-    return await readFile(p, "utf8");
-  } catch {
-    return null;
-  }
+import { buildMessages } from "./prompts.js";
+import { modelFor } from "./llm.js";
+import { CALL_TYPES, routeFor } from "../config/callTypes.js";
+
+// HubSpot label (or a config/callTypes.js key) -> prompt call type in ai/prompts.js (PROMPT_FILES)
+export function callTypeForLabel(label) {
+  const s = String(label || "").trim();
+  if (Object.hasOwn(CALL_TYPES, s)) return CALL_TYPES[s].prompt;
+  return routeFor(s).prompt;
 }
 
 /**
  * getCombinedPrompt(callType, transcript) -> messages[]
- * Returns an array of OpenAI chat messages [{role, content}, ...]
- * Loads:
- *  - prompts/company-info.md
- *  - prompts/<call-type>.md  (e.g. initial-consultation.md)
- *  - prompts/sales-performance-summary.md    (optional)
- *  - prompts/sales-performance-rating.md     (optional)
- * Then appends the raw transcript as a user message.
+ * Returns exactly the chat messages the analyser for this call type sends
+ * (front-matter system line, included context files, instructions + transcript).
  */
 export async function getCombinedPrompt(callType, transcript) {
-  const type = String(callType || "").trim().toLowerCase();
-  // Map typical labels to file names
-  const typeToFile = {
-    "qualification call": "qualification.md",
-    "qualification": "qualification.md",
-    "initial consultation": "initial-consultation.md",
-    "initial-consultation": "initial-consultation.md",
-    "follow up call": "follow-up.md",
-    "follow-up": "follow-up.md",
-    "follow up": "follow-up.md",
-    "application meeting": "application-meeting.md",
-    "application": "application-meeting.md",
-    "existing customer call": "initial-consultation.md", // sensible default
-    "strategy call": "initial-consultation.md",
-    "annual review": "initial-consultation.md",
-    "": "initial-consultation.md",
-  };
-
-  const company = await safeRead("company-info.md");
-  const callSpecific = await safeRead(typeToFile[type] || "initial-consultation.md");
-  const perfSummary = await safeRead("sales-performance-summary.md"); // optional
-  const perfRating  = await safeRead("sales-performance-rating.md");  // optional
-
-  const messages = [];
-
-  if (company) messages.push({ role: "system", content: company });
-  if (callSpecific) messages.push({ role: "system", content: callSpecific });
-  if (perfSummary) messages.push({ role: "system", content: perfSummary });
-  if (perfRating)  messages.push({ role: "system", content: perfRating });
-
-  messages.push({ role: "user", content: String(transcript || "").trim() });
-
+  const { messages } = await buildMessages(callTypeForLabel(callType), transcript);
   return messages;
 }
+
+/**
+ * previewPrompt(callType, transcript, overrides?) -> { callType, file, model, promptVersion, messages }
+ * Same as getCombinedPrompt plus the resolved model and version. overrides maps
+ * prompt file -> draft text, so an edit can be checked before it is saved.
+ */
+export async function previewPrompt(callType, transcript, overrides = {}) {
+  const type = callTypeForLabel(callType);
+  const { messages, model, promptVersion, file } = await buildMessages(type, transcript, overrides);
+  return { callType: type, file, model: modelFor(type, model), promptVersion, messages };
+}
@@ -0,0 +1,221 @@
+// ai/llm.js
+// One chat-completions client for every analyser (and diarisation).
+// Handles provider/base URL, model per call type, timeouts, backoff on 429/5xx,
+// JSON parsing, schema validation with repair, and token usage reporting.
+//
+// ENV:
+//   LLM_PROVIDER=openai                 openai | azure | ollama  (ollama = any OpenAI-compatible local server)
+//   LLM_BASE_URL=                       default https://api.openai.com/v1 (openai) / http://localhost:11434/v1 (ollama)
+//   LLM_API_KEY=                        default OPENAI_API_KEY (openai) / AZURE_OPENAI_API_KEY (azure)
+//   AZURE_OPENAI_ENDPOINT=https://<resource>.openai.azure.com
+//   AZURE_OPENAI_API_VERSION=2024-06-01
+//
+//   LLM_MODEL=                          overrides the prompt files' model for every call type (Azure: deployment name)
+//   LLM_MODEL_<CALLTYPE>=               per call type, e.g. LLM_MODEL_QUALIFICATION=gpt-4o,
+//                                       LLM_MODEL_INITIAL_CONSULTATION, LLM_MODEL_FOLLOW_UP,
+//                                       LLM_MODEL_APPLICATION, LLM_MODEL_DIARISE, LLM_MODEL_SECTION_SUMMARY,
+//                                       LLM_MODEL_CALL_TYPE
+//
+//   LLM_TIMEOUT_MS=120000               per request
+//   LLM_MAX_RETRIES=4                   retries on 429 / 5xx / network errors / timeouts
+//   LLM_RETRY_BASE_MS=1000              doubled each retry, Retry-After wins when sent
+//   LLM_REPAIR_ATTEMPTS=2               repair prompts sent when a reply fails its JSON Schema
+import fetch from "node-fetch";
+import dotenv from "dotenv";
+import { validate } from "./validate.js";
+dotenv.config();
+
+const PROVIDER = String(process.env.LLM_PROVIDER || "openai").toLowerCase();
+const TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || 120_000;
+const MAX_RETRIES = Number.isFinite(Number(process.env.LLM_MAX_RETRIES)) ? Number(process.env.LLM_MAX_RETRIES) : 4;
+const RETRY_BASE_MS = Number(process.env.LLM_RETRY_BASE_MS) || 1000;
+const RETRY_MAX_MS = 60_000;
+const REPAIR_ATTEMPTS = Number.isFinite(Number(process.env.LLM_REPAIR_ATTEMPTS)) ? Number(process.env.LLM_REPAIR_ATTEMPTS) : 2;
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function envKey(callType) {
+  return "LLM_MODEL_" + String(callType || "").toUpperCase().replace(/[^A-Z0-9]+/g, "_").replace(/^_|_$/g, "");
+}
+
+// Env wins over the prompt file's front-matter model so a deployment (Azure
+// deployment names, local Ollama models) can override every prompt at once.
+export function modelFor(callType, promptModel) {
+  return process.env[envKey(callType)]
+    || (callType === "diarise" && process.env.DIARISE_MODEL)
+    || process.env.LLM_MODEL
+    || promptModel
+    || "gpt-4o-mini";
+}
+
+function endpoint(model) {
+  if (PROVIDER === "azure") {
+    const base = String(process.env.LLM_BASE_URL || process.env.AZURE_OPENAI_ENDPOINT || "").replace(/\/+$/, "");
+    if (!base) throw new Error("AZURE_OPENAI_ENDPOINT (or LLM_BASE_URL) is required for LLM_PROVIDER=azure");
+    const version = process.env.AZURE_OPENAI_API_VERSION || "2024-06-01";
+    const key = process.env.LLM_API_KEY || process.env.AZURE_OPENAI_API_KEY;
+    if (!key) throw new Error("Missing AZURE_OPENAI_API_KEY");
+    return {
+      url: `${base}/openai/deployments/${encodeURIComponent(model)}/chat/completions?api-version=${encodeURIComponent(version)}`,
+      headers: { "api-key": key },
+    };
+  }
+  if (PROVIDER === "ollama") {
+    const base = String(process.env.LLM_BASE_URL || "http://localhost:11434/v1").replace(/\/+$/, "");
+    const key = process.env.LLM_API_KEY;
+    return { url: `${base}/chat/completions`, headers: key ? { Authorization: `Bearer ${key}` } : {} };
+  }
+  if (PROVIDER !== "openai") throw new Error(`Unknown LLM_PROVIDER "${PROVIDER}" (use openai | azure | ollama)`);
+  const base = String(process.env.LLM_BASE_URL || "https://api.openai.com/v1").replace(/\/+$/, "");
+  const key = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY;
+  if (!key) throw new Error("Missing OPENAI_API_KEY");
+  return { url: `${base}/chat/completions`, headers: { Authorization: `Bearer ${key}` } };
+}
+
+function retryDelay(attempt, res) {
+  const ra = res?.headers?.get?.("retry-after");
+  const raMs = ra && (Number(ra) * 1000 || Date.parse(ra) - Date.now());
+  if (Number.isFinite(raMs) && raMs > 0) return Math.min(RETRY_MAX_MS, raMs);
+  const exp = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+  return Math.round(exp / 2 + Math.random() * exp / 2);
+}
+
+// One HTTP round trip with timeout + retries; returns the parsed API response
+async function postChat(url, headers, body, label) {
+  for (let attempt = 0; ; attempt++) {
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), TIMEOUT_MS);
+    let res;
+    try {
+      res = await fetch(url, {
+        method: "POST",
+        headers: { ...headers, "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+        signal: ctrl.signal,
+      });
+    } catch (err) {
+      const reason = err.name === "AbortError" ? `timed out after ${TIMEOUT_MS}ms` : err.message;
+      if (attempt >= MAX_RETRIES) throw new Error(`LLM ${label} request failed: ${reason}`);
+      const wait = retryDelay(attempt);
+      console.warn(`[llm] ${label} ${reason} — retry ${attempt + 1}/${MAX_RETRIES} in ${wait}ms`);
+      await sleep(wait);
+      continue;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (res.ok) return res.json();
+
+    const text = await res.text().catch(() => "");
+    const retryable = res.status === 429 || res.status >= 500;
+    if (!retryable || attempt >= MAX_RETRIES) {
+      throw Object.assign(new Error(`LLM error ${res.status} (${label}): ${text.slice(0, 500)}`), { status: res.status });
+    }
+    const wait = retryDelay(attempt, res);
+    console.warn(`[llm] ${label} HTTP ${res.status} — retry ${attempt + 1}/${MAX_RETRIES} in ${wait}ms`);
+    await sleep(wait);
+  }
+}
+
+function parseJsonContent(text) {
+  const s = String(text ?? "").trim().replace(/^```(?:json)?\s*/i, "").replace(/```$/, "").trim();
+  return JSON.parse(s || "{}");
+}
+
+// Replaceable transport for offline runs (eval/run.js replays recorded replies).
+// transport({ callType, model, messages, temperature }, send) -> chat-completions response;
+// send() performs the real HTTP request.
+let transport = null;
+export function setChatTransport(fn) {
+  transport = typeof fn === "function" ? fn : null;
+}
+
+function addUsage(usage, u) {
+  if (!usage) return;
+  usage.llmCalls = (usage.llmCalls || 0) + 1;
+  usage.promptTokens = (usage.promptTokens || 0) + (u?.prompt_tokens || 0);
+  usage.completionTokens = (usage.completionTokens || 0) + (u?.completion_tokens || 0);
+  usage.totalTokens = (usage.totalTokens || 0) + (u?.total_tokens || 0);
+}
+
+/**
+ * chatJSON({ callType, model, messages, temperature, usage, schema, schemaFailures, responses }) -> parsed JSON object
+ *   callType       : picks the model (see LLM_MODEL_<CALLTYPE>) and labels logs
+ *   model          : default model, usually from the prompt file's front matter
+ *   usage          : optional object, accumulates { llmCalls, promptTokens, completionTokens, totalTokens }
+ *   schema         : optional JSON Schema (ai/schemas.js); invalid replies get a repair prompt
+ *                    listing the violations, and still-invalid output throws code SCHEMA_INVALID
+ *   schemaFailures : optional array, receives { callType, model, attempt, violations, at } per failed validation
+ *   responses      : optional array, receives every raw reply { callType, model, content, usage, at } (artifact store)
+ * A reply that is not valid JSON is retried once at temperature 0 with a stricter instruction.
+ */
+export async function chatJSON({ callType = "default", model: promptModel, messages, temperature = 0.2, usage, schema, schemaFailures, responses } = {}) {
+  const model = modelFor(callType, promptModel);
+  const body = { model, temperature, response_format: { type: "json_object" }, messages };
+
+  async function complete(msgs, temp) {
+    const t0 = Date.now();
+    const send = () => {
+      const { url, headers } = endpoint(model);
+      return postChat(url, headers, { ...body, temperature: temp, messages: msgs }, callType);
+    };
+    const data = transport ? await transport({ callType, model, messages: msgs, temperature: temp }, send) : await send();
+    addUsage(usage, data?.usage);
+    console.log(`[llm] ${callType} ${model} ${data?.usage?.total_tokens ?? "?"} tokens in ${Date.now() - t0}ms`);
+    const content = String(data?.choices?.[0]?.message?.content ?? "");
+    if (Array.isArray(responses)) responses.push({ callType, model, content, usage: data?.usage || null, at: new Date().toISOString() });
+    return content;
+  }
+
+  let content = await complete(messages, temperature);
+  let js;
+  try {
+    js = parseJsonContent(content);
+  } catch {
+    const last = messages[messages.length - 1];
+    const strict = [
+      ...messages.slice(0, -1),
+      { ...last, content: last.content + "\nReturn ONLY valid JSON object. Do not wrap in code fences." },
+    ];
+    content = await complete(strict, 0);
+    js = parseJsonContent(content);
+  }
+  if (!schema) return js;
+
+  let convo = messages;
+  for (let attempt = 0; ; attempt++) {
+    const violations = validate(schema, js);
+    if (!violations.length) {
+      if (attempt) console.log(`[llm] ${callType} output repaired after ${attempt} attempt(s)`);
+      return js;
+    }
+    console.warn(`[llm] ${callType} output failed schema (${violations.length} violation(s)):`, violations.slice(0, 5));
+    if (Array.isArray(schemaFailures)) {
+      schemaFailures.push({ callType, model, attempt, violations, at: new Date().toISOString() });
+    }
+    if (attempt >= REPAIR_ATTEMPTS) {
+      throw Object.assign(
+        new Error(`LLM ${callType} output failed schema after ${attempt} repair attempt(s): ${violations.slice(0, 3).join("; ")}`),
+        { code: "SCHEMA_INVALID", violations });
+    }
+
+    convo = [
+      ...convo,
+      { role: "assistant", content },
+      {
+        role: "user",
+        content: [
+          "Your JSON does not match the required schema. Fix exactly these problems:",
+          ...violations.map(v => `- ${v}`),
+          "Return the complete corrected JSON object only. Keep every other field unchanged.",
+        ].join("\n"),
+      },
+    ];
+    content = await complete(convo, 0);
+    try {
+      js = parseJsonContent(content);
+    } catch {
+      js = null; // reported as a type violation on the next pass
+    }
+  }
+}
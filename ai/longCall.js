@@ -0,0 +1,144 @@
+// ai/longCall.js
+// Map-reduce for long calls. A transcript over the token budget is cut into
+// sections on line boundaries, each section is summarised on its own
+// (prompts/section-summary.md keeps quotes, figures and commitments), and the
+// analysers then run their normal prompt over the joined section summaries.
+// Short transcripts pass through untouched.
+//
+// ENV:
+//   ANALYSIS_TOKEN_BUDGET=16000        transcript tokens sent to an analyser in one go; 0 disables
+//   ANALYSIS_SECTION_TOKENS=6000       target size of each summarised section
+//   ANALYSIS_SECTION_CONCURRENCY=3     sections summarised in parallel
+import dotenv from "dotenv";
+import { chatJSON } from "./llm.js";
+import { SCHEMAS } from "./schemas.js";
+import { buildMessages } from "./prompts.js";
+dotenv.config();
+
+const TOKEN_BUDGET = Number(process.env.ANALYSIS_TOKEN_BUDGET ?? 16_000);
+const SECTION_TOKENS = Math.max(500, Number(process.env.ANALYSIS_SECTION_TOKENS) || 6_000);
+const CONCURRENCY = Math.max(1, Number(process.env.ANALYSIS_SECTION_CONCURRENCY) || 3);
+
+const TIMESTAMP = /^\[((?:\d+:)?\d{2}:\d{2})\]/;
+
+/**
+ * estimateTokens(text) -> rough token count for English chat text.
+ * ~4 characters per token, with words counted as a floor so short-word speech
+ * is not underestimated. Deliberately errs high; no tokenizer dependency.
+ */
+export function estimateTokens(text) {
+  const s = String(text || "");
+  if (!s) return 0;
+  const words = (s.match(/\S+/g) || []).length;
+  return Math.ceil(Math.max(s.length / 4, words * 1.3));
+}
+
+/**
+ * splitSections(transcript, maxTokens) -> [{ index, text, from, to, tokens }]
+ * Cuts on line boundaries (a [mm:ss] line is never split unless it alone is
+ * over the limit). from/to are the first and last timestamps seen, or null.
+ */
+export function splitSections(transcript, maxTokens = SECTION_TOKENS) {
+  const maxChars = maxTokens * 4;
+  const lines = [];
+  for (const line of String(transcript || "").split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    if (estimateTokens(line) <= maxTokens) { lines.push(line); continue; }
+    for (let i = 0; i < line.length; i += maxChars) lines.push(line.slice(i, i + maxChars));
+  }
+
+  const sections = [];
+  let current = [];
+  let tokens = 0;
+  const flush = () => {
+    if (!current.length) return;
+    const stamps = current.map(l => l.match(TIMESTAMP)?.[1]).filter(Boolean);
+    sections.push({
+      index: sections.length,
+      text: current.join("\n"),
+      from: stamps[0] || null,
+      to: stamps[stamps.length - 1] || null,
+      tokens,
+    });
+    current = [];
+    tokens = 0;
+  };
+  for (const line of lines) {
+    const t = estimateTokens(line);
+    if (tokens + t > maxTokens) flush();
+    current.push(line);
+    tokens += t;
+  }
+  flush();
+  return sections;
+}
+
+const bullets = (title, items) => (Array.isArray(items) && items.length
+  ? `${title}:\n${items.map(i => `- ${String(i).trim()}`).join("\n")}`
+  : "");
+
+function sectionHeading(section, total) {
+  const range = section.from ? ` (${section.from}${section.to && section.to !== section.from ? `–${section.to}` : ""})` : "";
+  return `SECTION ${section.index + 1} of ${total}${range}`;
+}
+
+async function summariseSection(section, total, llmOpts) {
+  const heading = sectionHeading(section, total);
+  const { messages, model } = await buildMessages("section_summary", `${heading}\n${section.text}`);
+  const js = await chatJSON({
+    callType: "section_summary",
+    model,
+    messages,
+    temperature: 0,
+    schema: SCHEMAS.section_summary,
+    ...llmOpts,
+  });
+  return [
+    `## ${heading}`,
+    String(js.summary || "").trim(),
+    bullets("Quotes", js.quotes),
+    bullets("Figures", js.figures),
+    bullets("Commitments", js.commitments),
+    bullets("Objections", js.objections),
+  ].filter(Boolean).join("\n");
+}
+
+/**
+ * condenseTranscript(transcript, { usage, schemaFailures, responses, longCall }) -> text for the analyser
+ * Returns the transcript unchanged when it fits ANALYSIS_TOKEN_BUDGET; otherwise the
+ * section summaries, in call order. longCall (optional object) receives
+ * { estimatedTokens, budget, condensed, sections, condensedTokens }.
+ * A section that cannot be summarised throws, so the job retries rather than
+ * analysing a call with a hole in it.
+ */
+export async function condenseTranscript(transcript, { usage, schemaFailures, responses, longCall } = {}) {
+  const text = String(transcript || "");
+  const estimatedTokens = estimateTokens(text);
+  const report = (stats) => { if (longCall) Object.assign(longCall, { estimatedTokens, budget: TOKEN_BUDGET, ...stats }); };
+
+  if (!(TOKEN_BUDGET > 0) || estimatedTokens <= TOKEN_BUDGET) {
+    report({ condensed: false });
+    return text;
+  }
+
+  const sections = splitSections(text, SECTION_TOKENS);
+  console.log(`[long-call] ~${estimatedTokens} tokens over budget ${TOKEN_BUDGET}: summarising ${sections.length} section(s)`);
+
+  const summaries = new Array(sections.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < sections.length) {
+      const section = sections[next++];
+      summaries[section.index] = await summariseSection(section, sections.length, { usage, schemaFailures, responses });
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, sections.length) }, worker));
+
+  const condensed = [
+    `[This call was ~${estimatedTokens} tokens long, so it was summarised in ${sections.length} sections, in order. ` +
+      "Quotes are verbatim; figures and commitments are complete. Treat later sections as the latest position.]",
+    ...summaries,
+  ].join("\n\n");
+  report({ condensed: true, sections: sections.length, condensedTokens: estimateTokens(condensed) });
+  return condensed;
+}
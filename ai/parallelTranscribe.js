@@ -13,13 +13,11 @@ import ffmpeg from "fluent-ffmpeg";
 
 import ffmpegInstaller from "@ffmpeg-installer/ffmpeg";
 
-import FormData from "form-data";
+import { getTranscriber } from "./transcribers.js";
 
 
 ffmpeg.setFfmpegPath(ffmpegInstaller.path);
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-
 // -------------------- helpers --------------------
 async function ensureDir(dir) {
   await fsp.mkdir(dir, { recursive: true });
@@ -71,27 +69,30 @@ function ffprobePromise(filePath) {
   });
 }
 
-// Transcode to a known-good audio format for segmenting and Whisper
-async function transcodeToWorkingAudio(inputPath, outBase) {
-  // First try MP3 (libmp3lame mono 16kHz 96kbps)
-  const mp3Path = `${outBase}.mp3`;
-  try {
-    await new Promise((resolve, reject) => {
-      ffmpeg(inputPath)
-        .noVideo()
-        .audioCodec("libmp3lame")
-        .audioChannels(1)
-        .audioFrequency(16000)
-        .audioBitrate(96)
-        .format("mp3")
-        .on("end", resolve)
-        .on("error", reject)
-        .save(mp3Path);
-    });
-    const st = await fsp.stat(mp3Path);
-    if (st.size > 2048) return { path: mp3Path, ext: ".mp3" };
-  } catch (e) {
-    console.warn("[warn] MP3 transcode failed, will try WAV fallback:", e.message || e);
+// Transcode to a known-good audio format for segmenting and Whisper.
+// wavOnly skips MP3 for backends that read raw PCM (whisper.cpp).
+async function transcodeToWorkingAudio(inputPath, outBase, { wavOnly = false } = {}) {
+  if (!wavOnly) {
+    // First try MP3 (libmp3lame mono 16kHz 96kbps)
+    const mp3Path = `${outBase}.mp3`;
+    try {
+      await new Promise((resolve, reject) => {
+        ffmpeg(inputPath)
+          .noVideo()
+          .audioCodec("libmp3lame")
+          .audioChannels(1)
+          .audioFrequency(16000)
+          .audioBitrate(96)
+          .format("mp3")
+          .on("end", resolve)
+          .on("error", reject)
+          .save(mp3Path);
+      });
+      const st = await fsp.stat(mp3Path);
+      if (st.size > 2048) return { path: mp3Path, ext: ".mp3" };
+    } catch (e) {
+      console.warn("[warn] MP3 transcode failed, will try WAV fallback:", e.message || e);
+    }
   }
 
   // Fallback to WAV (PCM s16le mono 16kHz)
@@ -142,103 +143,131 @@ async function splitAudio(inputPath, outDir, segmentSeconds, extForParts) {
   return files;
 }
 
-async function whisperTranscribe(filePath) {
-  if (!OPENAI_API_KEY) {
-    throw new Error("OPENAI_API_KEY is missing");
-  }
-  const form = new FormData();
-  form.append("model", "whisper-1");
-  form.append("response_format", "text");
-  form.append("language", "en");
-  form.append("file", fs.createReadStream(filePath), {
-    filename: path.basename(filePath),
-    contentType: filePath.endsWith(".wav") ? "audio/wav" : "audio/mpeg",
-  });
-
-  const resp = await fetch("https://api.openai.com/v1/audio/transcriptions", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${OPENAI_API_KEY}`,
-      ...form.getHeaders(),
-    },
-    body: form,
-  });
+// Media duration in seconds (0 if ffprobe cannot tell)
+async function probeDurationSeconds(filePath) {
+  const data = await ffprobePromise(filePath).catch(() => null);
+  const d = Number(data?.format?.duration);
+  return Number.isFinite(d) && d > 0 ? d : 0;
+}
 
-  if (!resp.ok) {
-    const t = await resp.text().catch(() => "");
-    throw new Error(`Whisper failed ${resp.status}: ${t}`);
-  }
-  const text = await resp.text();
-  return (text || "").trim();
+// 75 → "01:15", 3725 → "1:02:05"
+export function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(Number(seconds) || 0));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const sec = total % 60;
+  const mmss = `${String(m).padStart(2, "0")}:${String(sec).padStart(2, "0")}`;
+  return h ? `${h}:${mmss}` : mmss;
 }
 
 // -------------------- main --------------------
-export async function transcribeAudioParallel(destPath, callId, opts = {}) {
-  const sourceUrl = opts.sourceUrl;
-  const segmentSeconds = Math.max(20, Number(opts.segmentSeconds) || 120);
-  const concurrency = Math.max(1, Number(opts.concurrency) || 4);
-
-  if (!sourceUrl) throw new Error("transcribeAudioParallel: sourceUrl is required");
-  if (!OPENAI_API_KEY) console.warn("[warn] OPENAI_API_KEY missing — Whisper will fail.");
-
-  // 1) Download original
-  await downloadToFile(sourceUrl, destPath);
+// Stage 1 of the job pipeline: fetch the recording to a local file.
+export async function downloadRecording(sourceUrl, destPath) {
+  if (!sourceUrl) throw new Error("downloadRecording: sourceUrl is required");
+  return downloadToFile(sourceUrl, destPath);
+}
 
-  // 2) Probe original (not strictly required, useful for early failure)
-  await ffprobePromise(destPath).catch((err) => {
-    throw new Error(`ffprobe failed for ${destPath}: ${err.message || err}`);
+// Stage 2 of the job pipeline: transcode, segment and transcribe an already-downloaded file.
+// Returns one "[mm:ss] text" line per Whisper segment, timed from the start of the recording.
+// opts.stats (optional object) is filled with { transcodeMs, segmentCount, whisperMs, chunkFailures }.
+// opts.segments (optional array) is filled with [{ start, end, text }] in absolute seconds.
+// opts.chunks (optional array) is filled with one { chunk, index, offset, text, segments, backend | error } per part.
+// opts.workDir holds the working audio and parts (default <tmpdir>/ai-call-worker-<callId>);
+// stats.workingAudio names the working file in it.
+export async function transcribeLocalAudio(srcPath, callId, opts = {}) {
+  const segmentSeconds = Math.max(20, Number(opts.segmentSeconds) || 120);
+  const transcriber = getTranscriber();
+  const concurrency = Math.min(transcriber.maxConcurrency, Math.max(1, Number(opts.concurrency) || 4));
+  const stats = opts.stats || {};
+  stats.transcriber = transcriber.name;
+  console.log(`[transcribe] Backend: ${transcriber.name} (concurrency ${concurrency})`);
+
+  // 1) Probe original (not strictly required, useful for early failure)
+  await ffprobePromise(srcPath).catch((err) => {
+    throw new Error(`ffprobe failed for ${srcPath}: ${err.message || err}`);
   });
 
-  // 3) Transcode to working format (mp3 → fallback wav)
-  const workBase = path.join(os.tmpdir(), `ai-call-worker-${callId}`, "work");
-  await ensureDir(path.dirname(workBase));
-  const { path: workingPath, ext } = await transcodeToWorkingAudio(destPath, workBase);
+  // 2) Transcode to working format (mp3 → fallback wav)
+  let t0 = Date.now();
+  const workDir = opts.workDir || path.join(os.tmpdir(), `ai-call-worker-${callId}`);
+  const workBase = path.join(workDir, "work");
+  await ensureDir(workDir);
+  const { path: workingPath, ext } = await transcodeToWorkingAudio(srcPath, workBase, { wavOnly: transcriber.needsWav });
+  stats.workingAudio = path.basename(workingPath);
 
-  // 4) Segment the working file
-  const partsDir = path.join(os.tmpdir(), `ai-call-worker-${callId}`, "parts");
+  // 3) Segment the working file
+  const partsDir = path.join(workDir, "parts");
   const parts = await splitAudio(workingPath, partsDir, segmentSeconds, ext);
+  stats.transcodeMs = Date.now() - t0;
+  stats.segmentCount = parts.length;
   if (!parts.length) {
     const err = new Error("No audio segments produced");
     err.code = "EMPTY_TRANSCRIPT";
     throw err;
   }
 
-  // 5) Transcribe parts with modest concurrency
-  const queue = parts.slice();
+  // Parts restart at 0 (-reset_timestamps), so each part's offset is the summed
+  // duration of the parts before it. Stream-copy cuts land on frame boundaries,
+  // not exactly on segmentSeconds, hence probing every part.
+  const durations = await Promise.all(parts.map(probeDurationSeconds));
+  const offsets = [];
+  durations.reduce((acc, d, i) => { offsets[i] = acc; return acc + (d || segmentSeconds); }, 0);
+
+  // 4) Transcribe parts with modest concurrency
+  t0 = Date.now();
+  const queue = parts.map((file, index) => ({ file, index }));
   const results = [];
+  const chunks = Array.isArray(opts.chunks) ? opts.chunks : [];
+  stats.chunkFailures = [];
   async function worker() {
     while (queue.length) {
-      const file = queue.shift();
+      const { file, index } = queue.shift();
       try {
-        const text = await whisperTranscribe(file);
-        results.push({ file, text });
+        const out = await transcriber.transcribe(file);
+        const segments = out.segments.length
+          ? out.segments
+          : (out.text ? [{ start: 0, end: durations[index], text: out.text }] : []);
+        const absolute = segments.map(sg => ({ start: sg.start + offsets[index], end: sg.end + offsets[index], text: sg.text }));
+        results.push({ index, segments: absolute });
+        chunks.push({ chunk: path.basename(file), index, offset: offsets[index], text: out.text, segments: absolute, backend: out.backend });
       } catch (e) {
-        console.warn("[warn] Whisper failed for", path.basename(file), e.message || e);
-        results.push({ file, text: "" });
+        console.warn("[warn] Transcription failed for", path.basename(file), e.message || e);
+        stats.chunkFailures.push({
+          chunk: path.basename(file),
+          offset: formatTimestamp(offsets[index]),
+          error: String(e.message || e).slice(0, 300),
+        });
+        results.push({ index, segments: [] });
+        chunks.push({ chunk: path.basename(file), index, offset: offsets[index], text: "", segments: [], error: String(e.message || e).slice(0, 300) });
       }
     }
   }
   const workers = Array.from({ length: concurrency }, () => worker());
   await Promise.all(workers);
-
-  // 6) Join transcript
-  results.sort((a, b) => a.file.localeCompare(b.file));
-  const joined = results.map(r => (r.text || "").trim()).filter(Boolean).join("\n\n");
-  const trimmed = (joined || "").trim();
-
-  if (!trimmed || trimmed.length < 16) {
+  stats.whisperMs = Date.now() - t0;
+
+  // 5) Stitch segments in recording order
+  results.sort((a, b) => a.index - b.index);
+  const segments = results.flatMap(r => r.segments);
+  if (Array.isArray(opts.segments)) opts.segments.push(...segments);
+  const spoken = segments.map(sg => sg.text).join(" ").trim();
+
+  if (!spoken || spoken.length < 16) {
+    // Not silence if chunks errored (API outage, 429s): a plain error, so the queue retries
+    if (stats.chunkFailures.length) {
+      const err = new Error(`Transcription failed for ${stats.chunkFailures.length}/${parts.length} chunk(s): ${stats.chunkFailures[0].error}`);
+      err.code = "TRANSCRIPTION_FAILED";
+      throw err;
+    }
     const err = new Error("Transcript appears empty/meaningless — skipping AI analysis.");
     err.code = "EMPTY_TRANSCRIPT";
     throw err;
   }
-  return trimmed;
+  return segments.map(sg => `[${formatTimestamp(sg.start)}] ${sg.text}`).join("\n");
 }
 
-
-
-
-
-
-
-
-
+export async function transcribeAudioParallel(destPath, callId, opts = {}) {
+  if (!opts.sourceUrl) throw new Error("transcribeAudioParallel: sourceUrl is required");
+  await downloadRecording(opts.sourceUrl, destPath);
+  return transcribeLocalAudio(destPath, callId, opts);
+}
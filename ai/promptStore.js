@@ -0,0 +1,201 @@
+// ai/promptStore.js
+// Edit / history / rollback for prompts/*.md, used by the /admin/prompts endpoints.
+//
+// Edits are written to <WORKER_DATA_DIR>/prompts/<file>.md (ai/prompts.js reads that copy
+// first); the shipped prompts/*.md are left as they were deployed. Restoring the default
+// text removes the edited copy, so the file follows the shipped default again.
+//
+// History lives under <WORKER_DATA_DIR>/prompt-history/<file>/:
+//   history.json   [{ id, version, savedAt, sha256, bytes, action, note }]   newest last
+//   <id>.md        the full file text of that version
+// The first edit of a file snapshots what was on disk as a "baseline" entry, so
+// every version that was ever live can be restored.
+//
+// Prompts are read from disk on every analysis (ai/prompts.js), so a saved
+// edit or rollback applies to the next job without restarting the worker.
+import fsp from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import fs from "fs";
+import { PROMPTS_DIR, PROMPT_FILES, promptPath, defaultPromptPath, editedPromptPath, parseFrontMatter } from "./prompts.js";
+import { DATA_DIR } from "../jobs/queue.js";
+
+const HISTORY_DIR = path.join(DATA_DIR, "prompt-history");
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+function historyDir(file) { return path.join(HISTORY_DIR, path.basename(promptPath(file))); }
+
+async function writeAtomic(file, text) {
+  await fsp.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fsp.writeFile(tmp, text);
+  await fsp.rename(tmp, file);
+}
+
+// Edits to one file run one at a time so history ids and the live file stay in step
+const locks = new Map();
+function withLock(file, fn) {
+  const prev = locks.get(file) || Promise.resolve();
+  const run = prev.then(fn, fn);
+  locks.set(file, run.catch(() => {}));
+  return run;
+}
+
+async function readHistory(file) {
+  try {
+    return JSON.parse(await fsp.readFile(path.join(historyDir(file), "history.json"), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+async function appendHistory(file, text, { action, note = "" }) {
+  const dir = historyDir(file);
+  await fsp.mkdir(dir, { recursive: true });
+  const history = await readHistory(file);
+  const entry = {
+    id: `${Date.now().toString(36)}-${history.length + 1}`,
+    version: parseFrontMatter(text).meta.version || null,
+    savedAt: new Date().toISOString(),
+    sha256: sha256(text),
+    bytes: Buffer.byteLength(text),
+    action,
+    note: String(note || "").slice(0, 500),
+  };
+  await writeAtomic(path.join(dir, `${entry.id}.md`), text);
+  history.push(entry);
+  await writeAtomic(path.join(dir, "history.json"), JSON.stringify(history, null, 2));
+  return entry;
+}
+
+// Make sure the text currently on disk is in history before it gets replaced
+async function ensureBaseline(file, current) {
+  const history = await readHistory(file);
+  if (history.at(-1)?.sha256 === sha256(current)) return;
+  await appendHistory(file, current, { action: "baseline", note: history.length ? "changed on disk outside the admin API" : "" });
+}
+
+// Replace the "version:" line in the front matter (adds one when missing)
+function setVersion(text, version) {
+  const m = text.match(/^(\uFEFF?---\r?\n)([\s\S]*?)(\r?\n---)/);
+  if (!m) return text;
+  const lines = m[2].split(/\r?\n/);
+  const i = lines.findIndex(l => /^\s*version\s*:/.test(l));
+  if (i >= 0) lines[i] = `version: ${version}`;
+  else lines.push(`version: ${version}`);
+  return m[1] + lines.join("\n") + text.slice(m[1].length + m[2].length);
+}
+
+// 3.3 -> 3.4, 4 -> 4.1, "2024-06" -> "2024-06.1"
+export function bumpVersion(version) {
+  const v = String(version || "").trim();
+  const m = v.match(/^(.*?)(\d+)$/);
+  if (m && m[1].includes(".")) return m[1] + (Number(m[2]) + 1);
+  return v ? `${v}.1` : "1.0";
+}
+
+const promptSource = (file) => (fs.existsSync(editedPromptPath(file)) ? "edited" : "default");
+
+// Saves the live text of a prompt: an edited copy, or none when it is the shipped default again
+async function saveLive(file, text) {
+  const shipped = await fsp.readFile(defaultPromptPath(file), "utf8");
+  if (sha256(text) === sha256(shipped)) await fsp.rm(editedPromptPath(file), { force: true });
+  else await writeAtomic(editedPromptPath(file), text);
+}
+
+function callTypesUsing(file) {
+  return Object.entries(PROMPT_FILES).filter(([, f]) => f === file).map(([t]) => t);
+}
+
+// ---------- public API ----------
+
+export async function listPrompts() {
+  const files = (await fsp.readdir(PROMPTS_DIR)).filter(f => f.endsWith(".md")).sort();
+  return Promise.all(files.map(async (file) => {
+    const [text, stat, history] = await Promise.all([
+      fsp.readFile(promptPath(file), "utf8"),
+      fsp.stat(promptPath(file)),
+      readHistory(file),
+    ]);
+    const { meta } = parseFrontMatter(text);
+    return {
+      file,
+      source: promptSource(file),
+      callType: meta.callType || null,
+      usedBy: callTypesUsing(file),
+      version: meta.version || null,
+      model: meta.model || null,
+      include: meta.include,
+      sha256: sha256(text),
+      bytes: Buffer.byteLength(text),
+      modifiedAt: stat.mtime.toISOString(),
+      historyCount: history.length,
+    };
+  }));
+}
+
+export async function readPrompt(file) {
+  const text = await fsp.readFile(promptPath(file), "utf8");
+  const { meta, body } = parseFrontMatter(text);
+  return { file, source: promptSource(file), meta, body, content: text, sha256: sha256(text), history: await readHistory(file) };
+}
+
+export async function getHistoryEntry(file, id) {
+  const entry = (await readHistory(file)).find(e => e.id === id);
+  if (!entry) return null;
+  const content = await fsp.readFile(path.join(historyDir(file), `${entry.id}.md`), "utf8");
+  return { ...entry, content };
+}
+
+/**
+ * updatePrompt(file, content, { note, expectedSha256 }) -> { entry, version, changed }
+ * Only existing prompt files can be edited. If the front-matter version was not
+ * changed, the minor version is bumped so analyses record which text they used.
+ * expectedSha256 (optional) rejects the save with code CONFLICT when someone else
+ * changed the file since it was read.
+ */
+export function updatePrompt(file, content, { note, expectedSha256 } = {}) {
+  return withLock(file, async () => {
+    const full = promptPath(file);
+    const current = await fsp.readFile(full, "utf8");
+    if (expectedSha256 && expectedSha256 !== sha256(current)) {
+      throw Object.assign(new Error(`${file} changed since it was read`), { code: "CONFLICT" });
+    }
+
+    let text = String(content ?? "");
+    const next = parseFrontMatter(text);
+    if (!/^\uFEFF?---\r?\n[\s\S]*?\r?\n---/.test(text)) throw Object.assign(new Error("Prompt must start with --- front matter ---"), { code: "INVALID" });
+    if (!next.body) throw Object.assign(new Error("Prompt body is empty"), { code: "INVALID" });
+    const was = parseFrontMatter(current).meta;
+    if (was.callType && next.meta.callType !== was.callType) {
+      throw Object.assign(new Error(`callType must stay "${was.callType}"`), { code: "INVALID" });
+    }
+    if (sha256(text) === sha256(current)) return { entry: null, version: was.version || null, changed: false };
+    if ((next.meta.version || "") === (was.version || "")) text = setVersion(text, bumpVersion(was.version));
+
+    await ensureBaseline(file, current);
+    await saveLive(file, text);
+    const entry = await appendHistory(file, text, { action: "update", note });
+    console.log(`[prompts] ${file} updated to v${entry.version} (${entry.id})`);
+    return { entry, version: entry.version, changed: true };
+  });
+}
+
+/**
+ * rollbackPrompt(file, id, { note }) -> { entry, restored }
+ * Puts the text of history entry <id> back live (with its original version) and
+ * records that as a new "rollback" entry, so the rollback itself can be undone.
+ */
+export function rollbackPrompt(file, id, { note } = {}) {
+  return withLock(file, async () => {
+    const target = await getHistoryEntry(file, id);
+    if (!target) throw Object.assign(new Error(`No history entry ${id} for ${file}`), { code: "NOT_FOUND" });
+    await ensureBaseline(file, await fsp.readFile(promptPath(file), "utf8"));
+    await saveLive(file, target.content);
+    const entry = await appendHistory(file, target.content, { action: "rollback", note: note || `rollback to ${id}` });
+    console.log(`[prompts] ${file} rolled back to ${id} (v${target.version})`);
+    return { entry, restored: { id: target.id, version: target.version, savedAt: target.savedAt } };
+  });
+}
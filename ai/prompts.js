@@ -0,0 +1,128 @@
+// ai/prompts.js
+// Loads the analysis prompts from prompts/*.md.
+//
+// Each file starts with front matter:
+//   ---
+//   callType: qualification              (matches ai/schemas.js / LLM_MODEL_<CALLTYPE>)
+//   model: gpt-4o                        (default model; env LLM_MODEL_<CALLTYPE> / LLM_MODEL win)
+//   version: 3.3                         (recorded on every analysis as prompt_version)
+//   include: company-info.md             (comma-separated files sent as extra system messages)
+//   system: You are TLPI’s AI Call Analyst. ...
+//   ---
+// The body holds the instructions. It is sent after the transcript, or wherever
+// <<<TRANSCRIPT>>> appears in it.
+// Files are read on every call, so edits apply to the next analysis without a restart.
+//
+// prompts/*.md are the shipped defaults and are never written at runtime. Edits made through
+// the admin API (ai/promptStore.js) are saved to <WORKER_DATA_DIR>/prompts/<file>.md, which
+// wins over the default, so they survive a redeploy.
+import fs from "fs";
+import { readFile } from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { SPEAKER_NOTE } from "./diarise.js";
+import { DATA_DIR } from "../jobs/queue.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const PROMPTS_DIR = path.resolve(__dirname, "..", "prompts");
+export const PROMPT_EDITS_DIR = path.join(DATA_DIR, "prompts");
+
+// call type -> prompt file
+export const PROMPT_FILES = {
+  initial_consultation: "initial-consultation.md",
+  qualification: "qualification.md",
+  follow_up: "follow-up.md",
+  application: "application-meeting.md",
+  call_type: "call-type.md",               // classifier (ai/classifyCallType.js)
+  section_summary: "section-summary.md",   // long calls only (ai/longCall.js)
+};
+
+const TRANSCRIPT_MARKER = "<<<TRANSCRIPT>>>";
+
+/**
+ * parseFrontMatter(text) -> { meta, body }
+ * Flat "key: value" pairs only; "include" is split on commas.
+ */
+export function parseFrontMatter(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const m = src.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!m) return { meta: {}, body: src.trim() };
+
+  const meta = {};
+  for (const line of m[1].split(/\r?\n/)) {
+    const kv = line.match(/^\s*([A-Za-z_][\w-]*)\s*:\s*(.*)$/);
+    if (kv) meta[kv[1]] = kv[2].trim().replace(/^(["'])(.*)\1$/, "$2");
+  }
+  if (meta.include) meta.include = meta.include.split(",").map(s => s.trim()).filter(Boolean);
+  else meta.include = [];
+  return { meta, body: src.slice(m[0].length).trim() };
+}
+
+// The shipped prompts/<file>.md
+export function defaultPromptPath(file) {
+  const full = path.resolve(PROMPTS_DIR, String(file || ""));
+  if (path.dirname(full) !== PROMPTS_DIR || !full.endsWith(".md")) throw Object.assign(new Error(`Invalid prompt file: ${file}`), { code: "INVALID" });
+  return full;
+}
+
+// Where an admin edit of <file> is saved
+export function editedPromptPath(file) {
+  return path.join(PROMPT_EDITS_DIR, path.basename(defaultPromptPath(file)));
+}
+
+// The live copy: the admin edit when there is one, else the shipped default
+export function promptPath(file) {
+  const edited = editedPromptPath(file);
+  return fs.existsSync(edited) ? edited : defaultPromptPath(file);
+}
+
+// overrides: { "<file>.md": "<full file text>" } — used by the admin preview to
+// render a draft without writing it
+export async function loadPromptFile(file, overrides = {}) {
+  const full = promptPath(file);
+  const text = overrides[file] ?? await readFile(full, "utf8");
+  const { meta, body } = parseFrontMatter(text);
+  return { file, meta, body };
+}
+
+export async function loadPrompt(callType, overrides = {}) {
+  const file = PROMPT_FILES[callType];
+  if (!file) throw new Error(`No prompt file for call type "${callType}"`);
+  const prompt = await loadPromptFile(file, overrides);
+  if (prompt.meta.callType && prompt.meta.callType !== callType) {
+    console.warn(`[prompts] ${file} declares callType "${prompt.meta.callType}", expected "${callType}"`);
+  }
+  return prompt;
+}
+
+/**
+ * buildMessages(callType, transcript, overrides?)
+ *   -> { messages, model, promptVersion, file }
+ * promptVersion is "<callType>@<version>" and is stored on the analysis result.
+ */
+export async function buildMessages(callType, transcript, overrides = {}) {
+  const { file, meta, body } = await loadPrompt(callType, overrides);
+
+  const messages = [];
+  messages.push({ role: "system", content: [meta.system, SPEAKER_NOTE].filter(Boolean).join(" ") });
+  for (const inc of meta.include) {
+    const part = await loadPromptFile(inc, overrides).catch((err) => {
+      console.warn(`[prompts] ${file} includes ${inc} which could not be read:`, err.message);
+      return null;
+    });
+    if (part?.body) messages.push({ role: "system", content: part.body });
+  }
+
+  const t = String(transcript || "").trim();
+  const user = body.includes(TRANSCRIPT_MARKER)
+    ? body.split(TRANSCRIPT_MARKER).join(t)
+    : `TRANSCRIPT:\n${t}\n\nINSTRUCTIONS:\n${body}`;
+  messages.push({ role: "user", content: user });
+
+  return {
+    messages,
+    model: meta.model || null,
+    promptVersion: `${callType}@${meta.version || "unversioned"}`,
+    file,
+  };
+}
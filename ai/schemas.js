@@ -0,0 +1,130 @@
+// ai/schemas.js
+// JSON Schemas for the raw model output of each call type.
+// They mirror the JSON described in each prompts/*.md file; keep the two in step.
+// Analysis that fails these (after repair) never reaches the HubSpot updaters.
+
+const str = { type: "string" };
+const strList = { type: "array", items: str };
+const textOrList = { type: ["string", "array"], items: str };
+const score01 = { type: "number", enum: [0, 0.5, 1] };
+
+function object(properties, required = Object.keys(properties)) {
+  return { type: "object", required, properties };
+}
+
+const CONSULT_EVAL_KEYS = [
+  "intro", "rapport_open", "open_question", "needs_pain_uncovered",
+  "services_explained_clearly", "benefits_linked_to_needs", "active_listening",
+  "clear_responses_or_followup", "commitment_requested", "next_steps_confirmed",
+  "specific_tax_estimate_given", "fees_tax_deductible_explained",
+  "next_step_specific_date_time", "interactive_throughout", "quantified_value_roi",
+];
+
+const QUAL_EVAL_KEYS = [
+  "qual_active_listening", "qual_benefits_linked_to_needs", "qual_clear_responses_or_followup",
+  "qual_commitment_requested", "qual_intro", "qual_next_steps_confirmed", "qual_open_question",
+  "qual_rapport", "qual_relevant_pain_identified", "qual_services_explained_clearly",
+];
+
+const keysOf = (keys, schema) => Object.fromEntries(keys.map(k => [k, schema]));
+
+export const SCHEMAS = {
+  initial_consultation: object({
+    call_type: str,
+    likelihood_to_close: { type: "number", minimum: 0, maximum: 100 },
+    outcome: { type: "string", enum: ["Proceed now", "Likely", "Unclear", "Not now", "No fit"] },
+    objections: strList,
+    next_actions: strList,
+    materials_to_send: strList,
+    ai_decision_criteria: strList,
+    key_details: object({
+      client_name: str, company_name: str,
+      products_discussed: { type: "array", items: { type: "string", enum: ["SSAS", "FIC"] } },
+      timeline: str, dob: str, ni: str, utr: str, address: str,
+      nationality: str, pension_refs: str, company_details: str,
+    }, []),
+    sales_performance_rating: { type: "number", minimum: 1, maximum: 10 },
+    sales_performance_summary: textOrList,
+    score_reasoning: str,
+    increase_likelihood: textOrList,
+    consult_eval: object(keysOf(CONSULT_EVAL_KEYS, score01)),
+  }),
+
+  qualification: object({
+    ai_is_company_director: { type: "string", enum: ["Yes", "No", "Unsure"] },
+    ai_product_interest: { type: "string", enum: ["SSAS", "FIC", "Both", "Unclear"] },
+    ai_how_heard_about_tlpi: str,
+    ai_problem_to_solve: str,
+    ai_approx_corporation_tax_bill: { type: ["string", "number"] },
+    ai_decision_criteria: textOrList,
+    ai_key_objections: textOrList,
+    ai_next_steps: textOrList,
+    ai_qualification_outcome: {
+      type: "string",
+      enum: ["Booked Initial Consultation", "Requested call-back", "Not Now", "Refused IC", "Unclear", "No Fit"],
+    },
+    ai_qualification_likelihood_to_book_ic: {
+      type: "string",
+      enum: ["Booked", "Very Likely", "Likely", "Unclear", "Unlikely", "No"],
+    },
+    ai_qualification_likelihood_to_proceed: { type: "number", minimum: 0, maximum: 10 },
+    ai_qualification_required_materials: textOrList,
+    ai_qualification_decision_criteria: textOrList,
+    ai_qualification_key_objections: textOrList,
+    ai_qualification_next_steps: textOrList,
+    ai_data_points_captured: textOrList,
+    ai_objection_categories: textOrList,
+    ai_objection_severity: { type: "string", enum: ["Low", "Medium", "High", "Not mentioned"] },
+    ai_objections_bullets: textOrList,
+    ai_primary_objection: str,
+    chat_gpt_increase_likelihood_of_sale: textOrList,
+    chat_gpt_score_reasoning: str,
+    sales_performance_summary: textOrList,
+    chat_gpt_sales_performance: { type: "number", minimum: 1, maximum: 10 },
+    ai_consultation_likelihood_to_close: { type: "number", minimum: 0, maximum: 100 },
+    ai_consultation_required_materials: textOrList,
+    qualification_eval: object(keysOf(QUAL_EVAL_KEYS, score01)),
+  }),
+
+  follow_up: object({
+    ai_followup_outcome: { type: "string", enum: ["Closed", "Likely", "Unclear", "Not now", "No fit"] },
+    ai_key_objections: textOrList,
+    ai_followup_likelihood_to_close: { type: "number", minimum: 1, maximum: 10 },
+    ai_next_steps: textOrList,
+    ai_followup_required_materials: textOrList,
+    ai_materials_reviewed: { type: "string", enum: ["Yes", "Partly", "No"] },
+    ai_decision_criteria: textOrList,
+    ai_product_interest: { type: "string", enum: ["SSAS", "FIC", "Both", "Unclear"] },
+    sales_performance_rating: { type: "number", minimum: 1, maximum: 10 },
+    sales_performance_summary_bullets: { type: "array", items: str, maxItems: 4 },
+    score_reasoning: str,
+    increase_likelihood: textOrList,
+  }),
+
+  application: object({
+    ai_application_objections: str,
+    ai_application_missing_information: strList,
+    ai_next_steps: textOrList,
+  }),
+
+  call_type: object({
+    call_type: {
+      type: "string",
+      enum: ["Qualification call", "Initial Consultation", "Follow up call", "Application meeting", "Annual Review"],
+    },
+    confidence: { type: "number", minimum: 0, maximum: 100 },
+    reasoning: str,
+  }, ["call_type", "confidence"]),
+
+  section_summary: object({
+    summary: str,
+    quotes: strList,
+    figures: strList,
+    commitments: strList,
+    objections: strList,
+  }, ["summary"]),
+
+  diarise: object({
+    speakers: { type: "array", items: { type: "string", enum: ["C", "P"] }, minItems: 1 },
+  }),
+};
@@ -0,0 +1,90 @@
+// ai/scoring.js
+// Scores an analysis against a rubric from config/rubrics.js. Pure, so the analysers,
+// the HubSpot mapping (config/mappings.js) and eval/run.js all get the same numbers.
+import { RUBRICS } from "../config/rubrics.js";
+
+function getPath(obj, p) {
+  return String(p).split(".").reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+const present = (v) => v != null && v !== "" && !(Array.isArray(v) && !v.length);
+
+// { path, equals } | { path, in: [...] } | { path, present: true }
+function holds(cond, analysis) {
+  const v = getPath(analysis, cond.path);
+  if ("equals" in cond) return v === cond.equals;
+  if ("in" in cond) return cond.in.includes(v);
+  if ("present" in cond) return present(v) === !!cond.present;
+  throw new Error(`Rubric condition on "${cond.path}" needs equals, in or present`);
+}
+
+const allHold = (conds = [], analysis) => conds.every(c => holds(c, analysis));
+
+export function getRubric(name) {
+  const rubric = RUBRICS[name];
+  if (!rubric) throw new Error(`Unknown scoring rubric "${name}"`);
+  return rubric;
+}
+
+function criterionValue(criterion, analysis) {
+  if (criterion.when) return allHold(criterion.when, analysis) ? 1 : 0;
+  const v = Number(getPath(analysis, criterion.from));
+  return Number.isFinite(v) ? v : 0;
+}
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+/**
+ * applyOverrides(name, analysis, value) -> value raised / lowered by the rubric's overrides
+ * (e.g. "Proceed now ⇒ ≥ 8"). Also used for the model's own sales_performance_rating.
+ */
+export function applyOverrides(name, analysis, value) {
+  let v = value;
+  for (const o of getRubric(name).overrides || []) {
+    if (!allHold(o.when, analysis)) continue;
+    if (o.min != null) v = Math.max(o.min, v);
+    if (o.max != null) v = Math.min(o.max, v);
+  }
+  return v;
+}
+
+/**
+ * scoreAnalysis(name, analysis)
+ *   -> { rubric, version, score, earned, possible, criteria: { key: value }, overrides: [note] }
+ * earned: Σ weight × credit(value); score: earned scaled to 0..max, floored, then overridden.
+ */
+export function scoreAnalysis(name, analysis = {}) {
+  const rubric = getRubric(name);
+  const a = analysis || {};
+  const criteria = {};
+  let earned = 0;
+  let possible = 0;
+  for (const c of rubric.criteria) {
+    const value = criterionValue(c, a);
+    criteria[c.key] = value;
+    earned += (rubric.credit[value] ?? 0) * c.weight;
+    possible += c.weight;
+  }
+
+  const scaled = possible > 0 ? (earned / possible) * rubric.max : 0;
+  let score = Math.min(rubric.max, Math.max(rubric.floor ?? 0, round1(scaled)));
+  const overrides = (rubric.overrides || []).filter(o => allHold(o.when, a)).map(o => o.note);
+  score = applyOverrides(name, a, score);
+
+  return { rubric: name, version: rubric.version, score, earned: round1(earned), possible: round1(possible), criteria, overrides };
+}
+
+/**
+ * scorecardProperties(name) -> [{ property, field }] — every scorecard property the rubric
+ * fills, with the scoreAnalysis() result path it comes from (config/mappings.js).
+ */
+export function scorecardProperties(name) {
+  const rubric = getRubric(name);
+  const out = [];
+  for (const c of rubric.criteria) {
+    for (const property of c.properties || []) out.push({ property, field: `criteria.${c.key}` });
+  }
+  if (rubric.properties?.earned) out.push({ property: rubric.properties.earned, field: "earned" });
+  if (rubric.properties?.score) out.push({ property: rubric.properties.score, field: "score" });
+  return out;
+}
@@ -0,0 +1,209 @@
+// ai/transcribers.js
+// Pluggable speech-to-text backends used by ai/parallelTranscribe.js.
+// Every backend exposes transcribe(filePath) -> { text, segments: [{ start, end, text }] }
+// with times in seconds relative to the chunk.
+//
+// ENV:
+//   TRANSCRIBE_BACKEND=openai            openai | openai-compatible | whisper-cpp | faster-whisper
+//   TRANSCRIBE_FALLBACK_BACKEND=         (optional) tried per chunk when the primary fails, e.g. whisper-cpp
+//   TRANSCRIBE_LANGUAGE=en
+//
+//   openai / openai-compatible:
+//     TRANSCRIBE_BASE_URL=https://api.openai.com/v1   (required for openai-compatible)
+//     TRANSCRIBE_API_KEY                               (defaults to OPENAI_API_KEY for "openai")
+//     TRANSCRIBE_MODEL=whisper-1
+//
+//   whisper-cpp (https://github.com/ggerganov/whisper.cpp):
+//     WHISPER_CPP_BIN=whisper-cli
+//     WHISPER_CPP_MODEL=/models/ggml-base.en.bin       (required)
+//
+//   faster-whisper (pip install faster-whisper):
+//     FASTER_WHISPER_PYTHON=python3
+//     FASTER_WHISPER_MODEL=small.en                    (model size or local path)
+//     FASTER_WHISPER_COMPUTE_TYPE=int8
+//
+//   Local backends (both):
+//     LOCAL_WHISPER_THREADS=<cpu count>
+//     LOCAL_WHISPER_CONCURRENCY=1                      (chunks transcribed at once)
+//     LOCAL_WHISPER_TIMEOUT_MS=1800000                 (per chunk)
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import os from "os";
+import { execFile } from "child_process";
+import fetch from "node-fetch";
+import FormData from "form-data";
+import dotenv from "dotenv";
+dotenv.config();
+
+const LANGUAGE = process.env.TRANSCRIBE_LANGUAGE || "en";
+const LOCAL_THREADS = Number(process.env.LOCAL_WHISPER_THREADS) || os.cpus().length || 1;
+const LOCAL_CONCURRENCY = Math.max(1, Number(process.env.LOCAL_WHISPER_CONCURRENCY) || 1);
+const LOCAL_TIMEOUT_MS = Number(process.env.LOCAL_WHISPER_TIMEOUT_MS) || 30 * 60_000;
+
+function cleanSegments(list) {
+  return (list || [])
+    .map(sg => ({ start: Number(sg.start) || 0, end: Number(sg.end) || 0, text: String(sg.text || "").trim() }))
+    .filter(sg => sg.text);
+}
+
+function run(cmd, args) {
+  return new Promise((resolve, reject) => {
+    execFile(cmd, args, { timeout: LOCAL_TIMEOUT_MS, maxBuffer: 64 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err) {
+        const detail = String(stderr || "").trim().split("\n").slice(-3).join(" | ");
+        return reject(new Error(`${path.basename(cmd)} failed${err.killed ? " (timed out)" : ""}: ${detail || err.message}`));
+      }
+      resolve(String(stdout || ""));
+    });
+  });
+}
+
+// ---------- OpenAI / OpenAI-compatible (/audio/transcriptions) ----------
+function openAICompatible({ name, baseUrl, apiKey, model }) {
+  const url = `${String(baseUrl).replace(/\/+$/, "")}/audio/transcriptions`;
+  return {
+    name,
+    local: false,
+    async transcribe(filePath) {
+      if (name === "openai" && !apiKey) throw new Error("OPENAI_API_KEY is missing");
+      const form = new FormData();
+      form.append("model", model);
+      form.append("response_format", "verbose_json");
+      // OpenAI only: some compatible servers reject parameters they do not know
+      if (name === "openai") form.append("timestamp_granularities[]", "segment");
+      form.append("language", LANGUAGE);
+      form.append("file", fs.createReadStream(filePath), {
+        filename: path.basename(filePath),
+        contentType: filePath.endsWith(".wav") ? "audio/wav" : "audio/mpeg",
+      });
+
+      const resp = await fetch(url, {
+        method: "POST",
+        headers: {
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+          ...form.getHeaders(),
+        },
+        body: form,
+      });
+      if (!resp.ok) {
+        const t = await resp.text().catch(() => "");
+        throw new Error(`Whisper (${name}) failed ${resp.status}: ${t}`);
+      }
+      const js = await resp.json();
+      return { text: String(js?.text || "").trim(), segments: cleanSegments(js?.segments) };
+    },
+  };
+}
+
+// ---------- whisper.cpp (CPU, wants 16 kHz WAV) ----------
+function whisperCpp() {
+  const bin = process.env.WHISPER_CPP_BIN || "whisper-cli";
+  const model = process.env.WHISPER_CPP_MODEL;
+  return {
+    name: "whisper-cpp",
+    local: true,
+    needsWav: true,
+    async transcribe(filePath) {
+      if (!model) throw new Error("WHISPER_CPP_MODEL is not set");
+      const outBase = filePath.replace(/\.[^.]+$/, "") + ".whisper";
+      // -oj writes <outBase>.json with offsets in milliseconds
+      await run(bin, ["-m", model, "-f", filePath, "-l", LANGUAGE, "-t", String(LOCAL_THREADS), "-oj", "-of", outBase, "-np"]);
+      const js = JSON.parse(await fsp.readFile(`${outBase}.json`, "utf8"));
+      await fsp.unlink(`${outBase}.json`).catch(() => {});
+      const segments = cleanSegments((js?.transcription || []).map(t => ({
+        start: (t?.offsets?.from ?? 0) / 1000,
+        end: (t?.offsets?.to ?? 0) / 1000,
+        text: t?.text,
+      })));
+      return { text: segments.map(s => s.text).join(" "), segments };
+    },
+  };
+}
+
+// ---------- faster-whisper (CPU via CTranslate2) ----------
+const FASTER_WHISPER_SCRIPT = `
+import json, sys
+from faster_whisper import WhisperModel
+path, model, compute, threads, lang = sys.argv[1:6]
+m = WhisperModel(model, device="cpu", compute_type=compute, cpu_threads=int(threads))
+segs, _ = m.transcribe(path, language=lang, vad_filter=True)
+print(json.dumps([{"start": s.start, "end": s.end, "text": s.text} for s in segs]))
+`;
+
+function fasterWhisper() {
+  const python = process.env.FASTER_WHISPER_PYTHON || "python3";
+  const model = process.env.FASTER_WHISPER_MODEL || "small.en";
+  const compute = process.env.FASTER_WHISPER_COMPUTE_TYPE || "int8";
+  return {
+    name: "faster-whisper",
+    local: true,
+    async transcribe(filePath) {
+      const stdout = await run(python, ["-c", FASTER_WHISPER_SCRIPT, filePath, model, compute, String(LOCAL_THREADS), LANGUAGE]);
+      const segments = cleanSegments(JSON.parse(stdout.trim().split("\n").pop() || "[]"));
+      return { text: segments.map(s => s.text).join(" "), segments };
+    },
+  };
+}
+
+function createTranscriber(name) {
+  switch (String(name || "").trim().toLowerCase()) {
+    case "":
+    case "openai":
+      return openAICompatible({
+        name: "openai",
+        baseUrl: "https://api.openai.com/v1",
+        apiKey: process.env.TRANSCRIBE_API_KEY || process.env.OPENAI_API_KEY,
+        model: process.env.TRANSCRIBE_MODEL || "whisper-1",
+      });
+    case "openai-compatible":
+      if (!process.env.TRANSCRIBE_BASE_URL) throw new Error("TRANSCRIBE_BASE_URL is required for TRANSCRIBE_BACKEND=openai-compatible");
+      return openAICompatible({
+        name: "openai-compatible",
+        baseUrl: process.env.TRANSCRIBE_BASE_URL,
+        apiKey: process.env.TRANSCRIBE_API_KEY || "",
+        model: process.env.TRANSCRIBE_MODEL || "whisper-1",
+      });
+    case "whisper-cpp":
+    case "whisper.cpp":
+      return whisperCpp();
+    case "faster-whisper":
+      return fasterWhisper();
+    default:
+      throw new Error(`Unknown TRANSCRIBE_BACKEND "${name}" (use openai | openai-compatible | whisper-cpp | faster-whisper)`);
+  }
+}
+
+/**
+ * getTranscriber() -> { name, needsWav, maxConcurrency, transcribe(filePath) }
+ * Tries TRANSCRIBE_BACKEND first and, when configured, TRANSCRIBE_FALLBACK_BACKEND
+ * for any chunk the primary cannot handle (e.g. the API is down).
+ */
+export function getTranscriber() {
+  const primary = createTranscriber(process.env.TRANSCRIBE_BACKEND);
+  const fallback = process.env.TRANSCRIBE_FALLBACK_BACKEND
+    ? createTranscriber(process.env.TRANSCRIBE_FALLBACK_BACKEND)
+    : null;
+  const backends = fallback ? [primary, fallback] : [primary];
+
+  return {
+    name: backends.map(b => b.name).join(" → "),
+    needsWav: backends.some(b => b.needsWav),
+    // Local models already use every core; running chunks side by side only thrashes
+    maxConcurrency: backends.some(b => b.local) ? LOCAL_CONCURRENCY : Infinity,
+    async transcribe(filePath) {
+      let lastErr;
+      for (const b of backends) {
+        try {
+          return { ...(await b.transcribe(filePath)), backend: b.name };
+        } catch (err) {
+          lastErr = err;
+          if (b !== backends[backends.length - 1]) {
+            console.warn(`[transcribe] ${b.name} failed for ${path.basename(filePath)}, trying ${backends[backends.length - 1].name}:`, err.message);
+          }
+        }
+      }
+      throw lastErr;
+    },
+  };
+}
@@ -0,0 +1,67 @@
+// ai/validate.js
+// Minimal JSON Schema validator for LLM output (no dependency).
+// Supports: type (incl. "integer" and type arrays), enum, required, properties,
+// items, minimum/maximum, minLength, minItems/maxItems. Unknown keywords are ignored
+// and extra properties are allowed.
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number") return Number.isInteger(v) ? "integer" : "number";
+  return typeof v;
+}
+
+function matchesType(v, type) {
+  const actual = typeOf(v);
+  return type === actual || (type === "number" && actual === "integer");
+}
+
+function fmt(v) {
+  return JSON.stringify(v)?.slice(0, 80) ?? String(v);
+}
+
+/**
+ * validate(schema, value) -> ["$.path: message", ...]   (empty array = valid)
+ */
+export function validate(schema, value, at = "$") {
+  const errors = [];
+  if (!schema || typeof schema !== "object") return errors;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push(`${at}: expected ${types.join(" or ")}, got ${typeOf(value)} ${fmt(value)}`);
+      return errors; // nothing else is meaningful on the wrong type
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(e => e === value)) {
+    errors.push(`${at}: must be one of ${schema.enum.map(fmt).join(", ")} (got ${fmt(value)})`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum} (got ${value})`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum} (got ${value})`);
+  }
+
+  if (typeof value === "string" && schema.minLength != null && value.trim().length < schema.minLength) {
+    errors.push(`${at}: must not be empty`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${at}: needs at least ${schema.minItems} item(s)`);
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${at}: allows at most ${schema.maxItems} item(s) (got ${value.length})`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validate(schema.items, item, `${at}[${i}]`)));
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}.${key}: is required`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (key in value) errors.push(...validate(sub, value[key], `${at}.${key}`));
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,139 @@
+// config/callTypes.js
+// Call-type routing table: for each HubSpot activity type (hs_activity_type label),
+// the analyser that runs, the CALL properties written, the scorecard built and the
+// objects the scorecard / timeline note are associated with.
+// jobs/pipeline.js, ai/getCombinedPrompt.js, ai/classifyCallType.js and eval/run.js
+// all route through routeFor(); a new call type is one entry here (plus its
+// prompts/*.md file when it needs its own analysis).
+//
+// Entry fields:
+//   label         canonical label (matches the ai_inferred_call_type options)
+//   labels        hs_activity_type values routed here (regexes, matched trimmed)
+//   prompt        ai/prompts.js PROMPT_FILES key
+//   mapping       config/mappings.js MAPPINGS key (properties written; GET /mappings)
+//   classify      the transcript classifier (prompts/call-type.md) can predict this type
+//   analyse       (transcript, llmOpts, typeLabel) -> analysis
+//   callProps     (analysis) -> CALL properties (pure; eval/run.js scores it offline)
+//   updateCall    (callId, analysis) -> writes the CALL properties; { rejected } lists those HubSpot would not take
+//   scorecard     null, or { props(ctx), create(ctx) -> { id, rejected } } with ctx { callId, ownerId, contactIds, dealIds, analysis }
+//   associate     objects besides the call that the scorecard and note are linked to
+import { analyseTranscript } from "../ai/analyse.js";
+import { analyseQualification } from "../ai/analyseQualification.js";
+import { analyseFollowUp } from "../ai/analyseFollowUp.js";
+import { analyseApplication } from "../ai/analyseApplication.js";
+import {
+  consultationCallProps, updateCall, consultationScorecardProps, createScorecard,
+  qualificationCallProps, updateQualificationCall, qualificationScorecardProps, createQualificationScorecard,
+  followUpCallProps, updateFollowUpCall, followUpScorecardProps, createFollowUpScorecard,
+  applicationCallProps, updateApplicationCall,
+} from "../hubspot/hubspot.js";
+
+const consultation = {
+  prompt: "initial_consultation",
+  mapping: "initial_consultation",
+  analyse: (transcript, opts, typeLabel) => analyseTranscript(typeLabel, transcript, opts),
+  callProps: (analysis) => consultationCallProps(analysis),
+  updateCall: (callId, analysis) => updateCall(callId, analysis),
+  scorecard: {
+    props: ({ callId, ownerId, analysis }) => consultationScorecardProps(analysis, { callId, ownerId }),
+    create: ({ callId, ownerId, contactIds, dealIds, analysis }) => createScorecard(analysis, { callId, contactIds, dealIds, ownerId }),
+  },
+  associate: ["contacts", "deals"],
+};
+
+export const CALL_TYPES = {
+  qualification: {
+    label: "Qualification call",
+    labels: [/^qualification( call)?$/i],
+    prompt: "qualification",
+    mapping: "qualification",
+    classify: true,
+    analyse: (transcript, opts) => analyseQualification(transcript, opts),
+    callProps: (analysis) => qualificationCallProps(analysis),
+    async updateCall(callId, analysis) {
+      // Generic call fields only (ai_qualification_* belong to the scorecard)
+      const written = await updateQualificationCall(callId, analysis);
+      const { patchQualificationCallProps } = await import("../hubspot/patch_qualification_props.js");
+      await patchQualificationCallProps({ callId, data: analysis });
+      return written;
+    },
+    scorecard: {
+      props: ({ callId, ownerId, analysis }) => qualificationScorecardProps({ callId, ownerId, data: analysis }),
+      create: ({ callId, ownerId, contactIds, analysis }) => createQualificationScorecard({ callId, contactIds, ownerId, data: analysis }),
+    },
+    associate: ["contacts", "deals"],
+  },
+
+  initial_consultation: {
+    ...consultation,
+    label: "Initial Consultation",
+    labels: [/^initial[\s-]?consultation$/i],
+    classify: true,
+  },
+
+  // HubSpot shows both "Follow Up" (hs_activity_type option) and "Follow up call"
+  follow_up: {
+    label: "Follow up call",
+    labels: [/^follow[\s-]?up( call)?$/i],
+    prompt: "follow_up",
+    mapping: "follow_up",
+    classify: true,
+    analyse: (transcript, opts) => analyseFollowUp(transcript, opts),
+    callProps: (analysis) => followUpCallProps(analysis),
+    updateCall: (callId, analysis) => updateFollowUpCall(callId, analysis),
+    scorecard: {
+      props: ({ callId, ownerId, analysis }) => followUpScorecardProps({ callId, ownerId, data: analysis }),
+      create: ({ callId, ownerId, analysis }) => createFollowUpScorecard({ callId, ownerId, data: analysis }),
+    },
+    associate: ["contacts", "deals"],
+  },
+
+  // "Application meeting" (call type) / "Application Completion" (hs_activity_type option).
+  // Paperwork meeting: not scored as a sales call.
+  application: {
+    label: "Application meeting",
+    labels: [/^application( meeting| completion)?$/i],
+    prompt: "application",
+    mapping: "application",
+    classify: true,
+    analyse: (transcript, opts) => analyseApplication(transcript, opts),
+    callProps: (analysis) => applicationCallProps(analysis),
+    updateCall: (callId, analysis) => updateApplicationCall(callId, analysis),
+    scorecard: null,
+    associate: ["contacts", "deals"],
+  },
+
+  // No dedicated prompts yet: analysed and scored as consultations
+  annual_review: {
+    ...consultation,
+    label: "Annual Review",
+    labels: [/^annual review$/i],
+    classify: true,
+  },
+  strategy_call: {
+    ...consultation,
+    label: "Strategy call",
+    labels: [/^strategy call$/i],
+  },
+  existing_customer_call: {
+    ...consultation,
+    label: "Existing customer call",
+    labels: [/^existing customer call$/i],
+  },
+};
+
+// Blank or unknown hs_activity_type
+export const DEFAULT_CALL_TYPE = "initial_consultation";
+
+// HubSpot label -> table key, or null when no entry lists it
+export function callTypeKey(label) {
+  const s = String(label || "").trim();
+  if (!s) return null;
+  return Object.keys(CALL_TYPES).find(key => CALL_TYPES[key].labels.some(re => re.test(s))) || null;
+}
+
+// HubSpot label -> { key, ...entry }, falling back to DEFAULT_CALL_TYPE
+export function routeFor(label) {
+  const key = callTypeKey(label) || DEFAULT_CALL_TYPE;
+  return { key, ...CALL_TYPES[key] };
+}
@@ -0,0 +1,208 @@
+// config/hubspotSchema.js
+// Custom HubSpot properties the worker needs, per object: property groups, properties and
+// enum options. provision-hubspot-schema.js diffs this against the portal (or the CSV
+// property exports) and creates what is missing; every property config/mappings.js writes
+// should be listed here.
+//
+// Option values are the exact strings the worker writes (config/mappings.js), so an
+// option listed here but missing in the portal shows up in the plan as an option update.
+// Existing options are never removed.
+//
+// Object fields:
+//   objectType   HubSpot object type (the scorecard's can be overridden with SALES_PERF_OBJECT)
+//   csv          property export for --source csv (optional)
+//   groups       [{ name, label, description? }]
+//   properties   [{ name, label, type, fieldType, groupName, description?, options? }]
+//                or { name, type, fieldType, hubspotDefined: true } for a HubSpot-defined property
+//                the worker relies on: checked (missing / type) but never created
+import dotenv from "dotenv";
+dotenv.config();
+
+// ["Yes", "No"] -> [{ label, value }]; label and value are the same string
+const options = (...values) => values.map(value => ({ label: value, value }));
+
+const BOOLEAN = [{ label: "Yes", value: "true" }, { label: "No", value: "false" }];
+
+const text = (name, label, groupName, description) => ({ name, label, type: "string", fieldType: "text", groupName, description });
+const textarea = (name, label, groupName, description) => ({ name, label, type: "string", fieldType: "textarea", groupName, description });
+const number = (name, label, groupName, description) => ({ name, label, type: "number", fieldType: "number", groupName, description });
+const select = (name, label, groupName, values, description) => ({
+  name, label, type: "enumeration", fieldType: "select", groupName, options: options(...values), description,
+});
+
+// qual_intro -> "Qual Intro"
+const titleCase = (name) => name.replace(/_/g, " ").replace(/\b\w/g, m => m.toUpperCase());
+const metric = (groupName, description) => (name) => number(name, titleCase(name), groupName, description);
+const hubspotDefined = (name, type, fieldType) => ({ name, type, fieldType, hubspotDefined: true });
+
+const CALL_TYPE_LABELS = [
+  "Qualification call", "Initial Consultation", "Follow up call", "Application meeting",
+  "Strategy call", "Annual Review", "Existing customer call", "Other",
+];
+const OBJECTION_CATEGORIES = ["Price", "Timing", "Risk", "Complexity", "Authority", "Clarity"];
+const PRODUCTS = ["FIC", "SSAS", "Both", "Unclear"];
+const CONSULTATION_OUTCOMES = ["Proceed now", "Likely", "Unclear", "Not now", "No fit"];
+const QUALIFICATION_OUTCOMES = ["Booked Initial Consultation", "Requested call-back", "Not Now", "Refused IC", "Unclear", "No Fit"];
+
+export const SCHEMA = {
+  calls: {
+    objectType: "calls",
+    csv: "call_properties.csv",
+    groups: [
+      { name: "ai_routing", label: "AI Routing / Type Inference" },
+      { name: "ai_objections", label: "AI Objections (Shared)" },
+      { name: "ai_initial_consult", label: "AI Initial Consultation" },
+      { name: "ai_qualification", label: "AI Qualification Call" },
+      { name: "ai_follow_up", label: "AI Follow Up" },
+      { name: "ai_application", label: "AI Application Meeting" },
+      { name: "ai_coaching", label: "AI Coaching" },
+    ],
+    properties: [
+      // Routing
+      select("ai_inferred_call_type", "AI Inferred Call Type", "ai_routing", CALL_TYPE_LABELS,
+        "Call type the transcript reads as (or the analysed type when not classified)."),
+      number("ai_call_type_confidence", "AI Call Type Confidence", "ai_routing", "0–100 confidence of the transcript classification."),
+      {
+        name: "ai_call_type_mismatch", label: "AI Call Type Mismatch", type: "bool", fieldType: "booleancheckbox", groupName: "ai_routing",
+        description: "True when the transcript reads as a different call type from the rep-selected hs_activity_type.",
+        options: BOOLEAN,
+      },
+
+      // Shared objections
+      text("ai_key_objections", "AI Key Objections (Concise)", "ai_objections"),
+      textarea("ai_objections_bullets", "AI Objections (Bullets)", "ai_objections", "Bulleted list of objections parsed from transcript."),
+      text("ai_primary_objection", "AI Primary Objection", "ai_objections", "Most material objection extracted from the call."),
+      {
+        name: "ai_objection_categories", label: "AI Objection Categories", type: "enumeration", fieldType: "checkbox", groupName: "ai_objections",
+        description: "Normalised objection tags.", options: options(...OBJECTION_CATEGORIES),
+      },
+      select("ai_objection_severity", "AI Objection Severity", "ai_objections", ["Low", "Medium", "High"], "Severity of primary objection."),
+
+      // Initial Consultation (and the fields shared with the other call types)
+      select("ai_consultation_outcome", "AI Consultation Outcome", "ai_initial_consult", CONSULTATION_OUTCOMES),
+      number("ai_consultation_likelihood_to_close", "Ai Consultation Likelihood To Close", "ai_initial_consult"),
+      select("ai_product_interest", "AI Product Interest", "ai_initial_consult", PRODUCTS),
+      text("ai_decision_criteria", "AI Decision Criteria", "ai_initial_consult"),
+      textarea("ai_consultation_required_materials", "AI Consultation Required Materials", "ai_initial_consult"),
+      textarea("ai_data_points_captured", "AI Data Points Captured", "ai_initial_consult"),
+      textarea("ai_missing_information", "AI Missing Information", "ai_initial_consult"),
+      text("ai_next_steps", "AI Next Steps", "ai_initial_consult"),
+
+      // Qualification call
+      text("ai_how_heard_about_tlpi", "AI How Heard About TLPI", "ai_qualification"),
+      textarea("ai_problem_to_solve", "AI Problem To Solve", "ai_qualification"),
+      number("ai_approx_corporation_tax_bill", "AI Approx Corporation Tax Bill", "ai_qualification"),
+      select("ai_is_company_director", "AI Is Company Director", "ai_qualification", ["Yes", "No", "Unsure"]),
+      select("ai_qualification_likelihood_to_book_ic", "AI Qualification Likelihood To Book IC", "ai_qualification",
+        ["Booked", "Very Likely", "Likely", "Unclear", "Unlikely", "No"]),
+      number("ai_qualification_likelihood_to_proceed", "AI Qualification Likelihood To Proceed", "ai_qualification"),
+
+      // Follow up
+      select("ai_followup_outcome", "AI Follow-Up Outcome", "ai_follow_up", ["Closed", "Likely", "Unclear", "Not now", "No fit"]),
+      select("ai_materials_reviewed", "AI Materials Reviewed", "ai_follow_up", ["Yes", "Partly", "No"],
+        "Whether the client reviewed the materials sent after the consultation."),
+      number("ai_follow_up_close_likelihood", "AI Follow-Up Close Likelihood", "ai_follow_up"),
+      text("ai_follow_up_objections_remaining", "AI Follow-Up Objections Remaining", "ai_follow_up"),
+      text("ai_follow_up_required_materials", "AI Follow-Up Required Materials", "ai_follow_up"),
+
+      // Application meeting
+      textarea("ai_application_objections", "AI Application Objections", "ai_application",
+        "New or changed objections raised while completing the application."),
+      textarea("ai_application_missing_information", "AI Application Missing Information", "ai_application",
+        "Information or documents still needed to complete the application."),
+
+      // Coaching
+      textarea("sales_performance_summary", "Sales Performance Summary", "ai_coaching"),
+      number("chat_gpt___sales_performance", "Chat GPT - Sales Performance Score", "ai_coaching"),
+      textarea("chat_gpt___score_reasoning", "Chat GPT - Score reasoning", "ai_coaching"),
+      textarea("chat_gpt___increase_likelihood_of_sale_suggestions", "Chat GPT - Increase likelihood of sale suggestions", "ai_coaching"),
+    ],
+  },
+
+  // Contacts are only read: Zoom intake matches participants by email and takes the owner,
+  // transcript speakers are labelled with the name. No custom contact properties yet; there
+  // is no contacts export to diff against, so these are checked against the portal only.
+  contacts: {
+    objectType: "contacts",
+    groups: [],
+    properties: [
+      hubspotDefined("email", "string", "text"),
+      hubspotDefined("firstname", "string", "text"),
+      hubspotDefined("lastname", "string", "text"),
+      hubspotDefined("hubspot_owner_id", "enumeration", "select"),
+    ],
+  },
+
+  // lead_properties.csv is an export of HubSpot's Leads object (hs_lead_*, lead_information),
+  // not of contacts. The worker neither reads nor writes leads; listed so the export is diffed
+  // and lead properties have a place when the worker starts writing them.
+  leads: {
+    objectType: "leads",
+    csv: "lead_properties.csv",
+    groups: [],
+    properties: [
+      hubspotDefined("hubspot_owner_id", "enumeration", "select"),
+    ],
+  },
+
+  scorecards: {
+    objectType: process.env.SALES_PERF_OBJECT || "p49487487_sales_scorecards",
+    csv: "scorecard_properties.csv",
+    groups: [
+      { name: "sales_scorecards_information", label: "Sales Scorecard Information" },
+      {
+        name: "ai_consultation_insights", label: "AI Consultation Insights",
+        description: "AI-generated insights captured from initial consultation calls, providing a summary of client intent, decision drivers, and follow-up requirements.",
+      },
+      { name: "ai_qualification_insights", label: "AI Qualification Insights" },
+      { name: "qual_metrics", label: "Qualification Metrics" },
+      { name: "consult_metrics", label: "Initial Consultation Metrics" },
+      { name: "scores_rollup", label: "Scores Rollup" },
+    ],
+    properties: [
+      text("activity_name", "Activity Name", "sales_scorecards_information"),
+      text("activity_type", "Activity Type", "sales_scorecards_information"),
+      number("sales_performance_rating_", "Sales Performance Rating (1-10)", "sales_scorecards_information"),
+      textarea("sales_scorecard___what_you_can_improve_on", "Sales Scorecard - Summary", "sales_scorecards_information"),
+
+      select("ai_consultation_outcome", "AI Consultation Outcome", "ai_consultation_insights", CONSULTATION_OUTCOMES,
+        "Overall outcome of the consultation call based on client signals and sentiment."),
+      text("ai_decision_criteria", "AI Decision Criteria", "ai_consultation_insights",
+        "Key factors influencing the client's decision-making process, such as timeline, product suitability, or cost considerations."),
+      text("ai_key_objections", "AI Key Objections", "ai_consultation_insights",
+        "Main objections or concerns raised by the client during the consultation."),
+      number("ai_consultation_likelihood_to_close", "AI Consultation Likelihood to Close (1–10)", "ai_consultation_insights",
+        "How likely the client is to proceed to application (1–10)."),
+      text("ai_next_steps", "AI Next Steps", "ai_consultation_insights",
+        "Next actions or commitments identified during the call."),
+      textarea("ai_consultation_required_materials", "AI Consultation Required Materials", "ai_consultation_insights",
+        "Materials or documentation promised to or required by the client following the consultation."),
+
+      select("ai_qualification_outcome", "Ai Qualification Outcome", "ai_qualification_insights", QUALIFICATION_OUTCOMES),
+      number("ai_qualification_likelihood_to_proceed", "Ai Qualification Likelihood to proceed", "ai_qualification_insights"),
+      textarea("ai_qualification_next_steps", "ai Qualification Next Steps", "ai_qualification_insights"),
+      textarea("ai_qualification_required_materials", "Ai Qualification Required Materials", "ai_qualification_insights"),
+      textarea("ai_qualification_decision_criteria", "Ai Qualification Decision Criteria", "ai_qualification_insights"),
+      textarea("ai_qualification_key_objections", "Ai Qualification Key Objections", "ai_qualification_insights"),
+
+      ...[
+        "qual_intro", "qual_rapport", "qual_open_question", "qual_relevant_pain_identified",
+        "qual_services_explained_clearly", "qual_benefits_linked_to_needs", "qual_active_listening",
+        "qual_clear_responses_or_followup", "qual_next_steps_confirmed", "qual_commitment_requested",
+      ].map(metric("qual_metrics", "Qualification call performance metric (0, 0.5, 1)")),
+
+      ...[
+        "consult_rapport_open", "consult_purpose_clearly_stated", "consult_confirm_reason_for_zoom",
+        "consult_demo_tax_saving", "consult_specific_tax_estimate_given", "consult_no_assumptions_evidence_gathered",
+        "consult_needs_pain_uncovered", "consult_open_question", "consult_quantified_value_roi",
+        "consult_fees_tax_deductible_explained", "consult_fees_annualised", "consult_fee_phrasing_three_seven_five",
+        "consult_closing_question_asked", "consult_collected_dob_nin_when_agreed", "consult_overcame_objection_and_closed",
+        "consult_customer_agreed_to_set_up", "consult_next_step_specific_date_time", "consult_next_contact_within_5_days",
+        "consult_strong_buying_signals_detected", "consult_prospect_asked_next_steps", "consult_interactive_throughout",
+      ].map(metric("consult_metrics", "Initial consultation performance metric (0, 0.5, 1)")),
+
+      number("qual_score_final", "Qualification Score (1–10)", "scores_rollup", "Aggregated performance score (calculated via AI worker)"),
+      number("consult_score_final", "Consultation Score (1–10)", "scores_rollup", "Aggregated performance score (calculated via AI worker)"),
+    ],
+  },
+};
@@ -0,0 +1,203 @@
+// config/mappings.js
+// Analysis -> HubSpot properties, per mapping (config/callTypes.js `mapping`).
+// Field format and transforms: hubspot/mapping.js. GET /mappings renders these tables
+// and, for a stored call, the values they produce.
+//
+// Empty-value wording lives in NONE so every call type writes the same text for
+// the same property; the 0–100 -> 1–10 likelihood conversion lives in TEN_SCALE.
+// Scorecard behaviour values and final scores come from the rubrics (config/rubrics.js,
+// scored by ai/scoring.js).
+import { scorecardProperties } from "../ai/scoring.js";
+
+export const NONE = {
+  objections: "No objections",
+  nextSteps: "No next steps mentioned.",
+  criteria: "Not mentioned",
+  materials: "Nothing requested",
+  outstanding: "Nothing outstanding",
+  dataPoints: "No data points captured",
+  reasoning: "No reasoning provided.",
+  suggestions: "No suggestions.",
+  summary: "What went well:\n- \n\nAreas to improve:\n- ",
+};
+
+// 0–100 likelihood -> "1".."10"
+const TEN_SCALE = [{ scale: { from: 100, to: 10, min: 1, max: 10 } }, "string"];
+
+const PRODUCTS = ["SSAS", "FIC", "Both", "Unclear"];
+
+// ai_inferred_call_type / ai_call_type_confidence / ai_call_type_mismatch from the
+// transcript classification (ai/classifyCallType.js); without one only the type is written
+const routing = (label, from = ["call_classification.call_type"]) => [
+  { property: "ai_inferred_call_type", from, transform: "text", fallback: label },
+  { property: "ai_call_type_confidence", from: "call_classification.confidence", transform: "number" },
+  { property: "ai_call_type_mismatch", from: "call_classification.mismatch", transform: "boolean" },
+];
+
+// Shared CALL objection fields from one list / text source
+const objections = (from) => [
+  { property: "ai_key_objections", from, transform: "join", fallback: NONE.objections },
+  { property: "ai_primary_objection", from, transform: "first", fallback: NONE.objections },
+  { property: "ai_objection_categories", from, transform: "objectionCategory" },
+];
+
+const scorecardHeader = (label) => [
+  { object: "scorecard", property: "activity_type", value: label },
+  { object: "scorecard", property: "activity_name", transform: { template: `{callId} — ${label} — {today}` } },
+  { object: "scorecard", property: "hubspot_owner_id", from: "@ownerId", transform: "string" },
+];
+
+// Behaviour values, raw points and final score for a rubric (config/rubrics.js)
+const rubric = (name) => scorecardProperties(name).map(({ property, field }) => ({
+  object: "scorecard", property, from: ".", transform: { score: { rubric: name, field } },
+}));
+
+// ---------- Initial Consultation (also annual review, strategy and existing-customer calls) ----------
+const initialConsultation = [
+  ...routing("Initial Consultation", ["call_classification.call_type", "call_type"]),
+  { property: "ai_consultation_outcome", from: "outcome", transform: "text", fallback: "Unclear" },
+  { property: "ai_consultation_likelihood_to_close", from: "likelihood_to_close", transform: TEN_SCALE, fallback: "1" },
+  { property: "ai_product_interest", from: "key_details.products_discussed", transform: "products", fallback: "Unclear" },
+  { property: "ai_decision_criteria", from: "ai_decision_criteria", transform: "join", fallback: NONE.criteria },
+  { property: "ai_data_points_captured", from: "__data_points_captured_text", transform: "text", fallback: NONE.dataPoints },
+  { property: "ai_missing_information", from: "ai_missing_information", transform: "join", fallback: NONE.outstanding },
+  { property: "ai_consultation_required_materials", from: "materials_to_send", transform: "join", fallback: NONE.materials },
+  { property: "ai_next_steps", from: "next_actions", transform: "join", fallback: NONE.nextSteps },
+  ...objections("objections"),
+  { property: "ai_objections_bullets", from: "objections", transform: { join: " - " }, fallback: NONE.objections },
+  { property: "ai_objection_severity", from: "ai_objection_severity", transform: "text", fallback: "Medium" },
+  { property: "chat_gpt___increase_likelihood_of_sale_suggestions", from: "increase_likelihood", transform: "text", fallback: NONE.suggestions },
+  { property: "chat_gpt___sales_performance", from: "sales_performance_rating", transform: "string", fallback: "" },
+  { property: "chat_gpt___score_reasoning", from: "score_reasoning", transform: "text", fallback: NONE.reasoning },
+  { property: "sales_performance_summary", from: "sales_performance_summary", transform: "text", fallback: NONE.summary },
+
+  ...scorecardHeader("Initial Consultation"),
+  { object: "scorecard", property: "sales_performance_rating_", from: "sales_performance_rating", transform: "number", fallback: 1 },
+  { object: "scorecard", property: "sales_scorecard___what_you_can_improve_on", from: "sales_performance_summary", transform: "text", fallback: NONE.summary },
+  { object: "scorecard", property: "ai_next_steps", from: "next_actions", transform: "join", fallback: NONE.nextSteps },
+  { object: "scorecard", property: "ai_consultation_required_materials", from: "materials_to_send", transform: "join", fallback: NONE.materials },
+  { object: "scorecard", property: "ai_decision_criteria", from: "ai_decision_criteria", transform: "join", fallback: NONE.criteria },
+  { object: "scorecard", property: "ai_key_objections", from: "objections", transform: "join", fallback: NONE.objections },
+  { object: "scorecard", property: "ai_consultation_outcome", from: "outcome", transform: "text", fallback: "Unclear" },
+  { object: "scorecard", property: "ai_consultation_likelihood_to_close", from: "likelihood_to_close", transform: TEN_SCALE, fallback: "1" },
+  ...rubric("initial_consultation"),
+];
+
+// ---------- Qualification call ----------
+// Coaching bullet per qualification_eval flag, in priority order
+const QUAL_COACHING = {
+  qual_intro: "Tighten your intro and purpose.",
+  qual_open_question: "Ask more open questions.",
+  qual_benefits_linked_to_needs: "Link benefits to stated needs.",
+  qual_relevant_pain_identified: "Surface a specific pain point earlier.",
+  qual_clear_responses_or_followup: "Give clearer, complete responses.",
+  qual_services_explained_clearly: "Explain TLPI services more clearly.",
+  qual_rapport: "Build rapport more intentionally.",
+  qual_next_steps_confirmed: "Confirm next steps explicitly.",
+  qual_commitment_requested: "Ask for commitment to book the IC.",
+  qual_active_listening: "Demonstrate active listening cues.",
+};
+
+const QUAL = {
+  nextSteps: ["ai_qualification_next_steps", "ai_next_steps"],
+  objections: ["ai_qualification_key_objections", "ai_key_objections"],
+  criteria: ["ai_qualification_decision_criteria", "ai_decision_criteria"],
+  likelihood: ["ai_qualification_likelihood_to_proceed", "ai_consultation_likelihood_to_close"],
+};
+
+const qualification = [
+  // CALL: generic fields only (ai_qualification_* outcome/coaching belong to the scorecard)
+  ...routing("Qualification call"),
+  { property: "ai_product_interest", from: "ai_product_interest", transform: { enum: PRODUCTS }, fallback: "Unclear" },
+  { property: "ai_decision_criteria", from: QUAL.criteria, transform: "join", fallback: NONE.criteria },
+  { property: "ai_next_steps", from: QUAL.nextSteps, transform: "join", fallback: NONE.nextSteps },
+  ...objections(QUAL.objections),
+  { property: "ai_objections_bullets", from: QUAL.objections, transform: { join: " - " }, fallback: NONE.objections },
+  { property: "ai_data_points_captured", from: "ai_data_points_captured", transform: "join", fallback: NONE.dataPoints },
+  { property: "ai_missing_information", from: "ai_missing_information", transform: "join", fallback: NONE.outstanding },
+  {
+    property: "ai_consultation_required_materials",
+    from: ["ai_qualification_required_materials", "ai_consultation_required_materials", "materials_to_send"],
+    transform: "join", fallback: NONE.materials,
+  },
+  { property: "ai_how_heard_about_tlpi", from: "ai_how_heard_about_tlpi", transform: "text", fallback: "" },
+  { property: "ai_problem_to_solve", from: "ai_problem_to_solve", transform: "text", fallback: "" },
+  { property: "ai_approx_corporation_tax_bill", from: "ai_approx_corporation_tax_bill", transform: "approxNumber" },
+  { property: "ai_is_company_director", from: "ai_is_company_director", transform: { enum: ["Yes", "No", "Unsure"] }, fallback: "Unsure" },
+  {
+    property: "ai_qualification_likelihood_to_book_ic", from: "ai_qualification_likelihood_to_book_ic",
+    transform: { enum: ["Booked", "Very Likely", "Likely", "Unclear", "Unlikely", "No"] }, fallback: "Unclear",
+  },
+  { property: "ai_qualification_likelihood_to_proceed", from: QUAL.likelihood, transform: "number", fallback: 1 },
+  {
+    property: "sales_performance_summary", from: ".",
+    transform: { coachingBullets: { provided: "sales_performance_summary_bullets", scores: "qualification_eval", messages: QUAL_COACHING } },
+    fallback: "- Ask for commitment to book the IC\n- Confirm next steps explicitly",
+  },
+  { property: "chat_gpt___sales_performance", from: "chat_gpt_sales_performance", transform: "number" },
+  { property: "chat_gpt___score_reasoning", from: "chat_gpt_score_reasoning", transform: "text", fallback: NONE.reasoning },
+  { property: "chat_gpt___increase_likelihood_of_sale_suggestions", from: "chat_gpt_increase_likelihood_of_sale", transform: "text", fallback: NONE.suggestions },
+
+  ...scorecardHeader("Qualification call"),
+  { object: "scorecard", property: "sales_scorecard___what_you_can_improve_on", from: "sales_scorecard_summary", transform: "text", fallback: NONE.summary },
+  { object: "scorecard", property: "sales_performance_rating_", from: "chat_gpt_sales_performance", transform: "number" },
+  { object: "scorecard", property: "ai_qualification_next_steps", from: QUAL.nextSteps, transform: "join", fallback: NONE.nextSteps },
+  {
+    object: "scorecard", property: "ai_qualification_required_materials",
+    from: ["ai_qualification_required_materials", "ai_consultation_required_materials"], transform: "join", fallback: NONE.materials,
+  },
+  { object: "scorecard", property: "ai_qualification_decision_criteria", from: QUAL.criteria, transform: "join", fallback: NONE.criteria },
+  { object: "scorecard", property: "ai_qualification_key_objections", from: QUAL.objections, transform: "join", fallback: NONE.objections },
+  { object: "scorecard", property: "ai_qualification_outcome", from: ["ai_qualification_outcome", "outcome"], transform: "text", fallback: "Unclear" },
+  { object: "scorecard", property: "ai_qualification_likelihood_to_proceed", from: QUAL.likelihood, transform: "number" },
+  ...rubric("qualification"),
+];
+
+// ---------- Follow up call ----------
+const FOLLOW_UP_COACHING = {
+  from: ".",
+  transform: { coachingBullets: { provided: "sales_performance_summary_bullets" } },
+  fallback: "- Ask directly for the decision\n- Confirm a dated next step",
+};
+
+const followUp = [
+  ...routing("Follow up call"),
+  { property: "ai_followup_outcome", from: "ai_followup_outcome", transform: { enum: ["Closed", "Likely", "Unclear", "Not now", "No fit"] }, fallback: "Unclear" },
+  { property: "ai_materials_reviewed", from: "ai_materials_reviewed", transform: { enum: ["Yes", "Partly", "No"] }, fallback: "No" },
+  { property: "ai_follow_up_close_likelihood", from: "ai_followup_likelihood_to_close", transform: "number", fallback: 1 },
+  { property: "ai_follow_up_objections_remaining", from: "ai_key_objections", transform: "join", fallback: NONE.objections },
+  { property: "ai_follow_up_required_materials", from: "ai_followup_required_materials", transform: "join", fallback: NONE.outstanding },
+  { property: "ai_product_interest", from: "ai_product_interest", transform: { enum: PRODUCTS }, fallback: "Unclear" },
+  { property: "ai_decision_criteria", from: "ai_decision_criteria", transform: "join", fallback: NONE.criteria },
+  { property: "ai_next_steps", from: "ai_next_steps", transform: "join", fallback: NONE.nextSteps },
+  ...objections("ai_key_objections"),
+  { property: "sales_performance_summary", ...FOLLOW_UP_COACHING },
+  { property: "chat_gpt___sales_performance", from: "sales_performance_rating", transform: "number" },
+  { property: "chat_gpt___score_reasoning", from: "score_reasoning", transform: "text", fallback: NONE.reasoning },
+  { property: "chat_gpt___increase_likelihood_of_sale_suggestions", from: "increase_likelihood", transform: "text", fallback: NONE.suggestions },
+
+  ...scorecardHeader("Follow up call"),
+  { object: "scorecard", property: "sales_performance_rating_", from: "sales_performance_rating", transform: "number", fallback: 1 },
+  { object: "scorecard", property: "sales_scorecard___what_you_can_improve_on", ...FOLLOW_UP_COACHING },
+  { object: "scorecard", property: "ai_next_steps", from: "ai_next_steps", transform: "join", fallback: NONE.nextSteps },
+  { object: "scorecard", property: "ai_key_objections", from: "ai_key_objections", transform: "join", fallback: NONE.objections },
+  { object: "scorecard", property: "ai_decision_criteria", from: "ai_decision_criteria", transform: "join", fallback: NONE.criteria },
+];
+
+// ---------- Application meeting (no scorecard) ----------
+const application = [
+  ...routing("Application meeting"),
+  { property: "ai_application_objections", from: "ai_application_objections", transform: "text", fallback: "No new objections" },
+  {
+    property: "ai_application_missing_information", from: "ai_application_missing_information",
+    transform: { bullets: { max: Infinity, prefix: "• " } }, fallback: NONE.outstanding,
+  },
+  { property: "ai_next_steps", from: "ai_next_steps", transform: "join", fallback: NONE.nextSteps },
+];
+
+export const MAPPINGS = {
+  initial_consultation: initialConsultation,
+  qualification,
+  follow_up: followUp,
+  application,
+};
@@ -0,0 +1,118 @@
+// config/rubrics.js
+// Scoring rubrics for the sales scorecards, read by ai/scoring.js. The analysers store the
+// result on the analysis (rubric_score) and config/mappings.js writes the same numbers to
+// the scorecard, so a score is defined once.
+//
+// Bump `version` whenever criteria, weights, credit or overrides change: the version is
+// stored with every score, so scores from different rubric versions can be told apart.
+//
+// Rubric fields:
+//   version     integer, stored with the score
+//   max         score for full marks; earned points are scaled to 0..max
+//   floor       lowest score written (after scaling, before overrides)
+//   credit      criterion value -> share of its weight earned; any other value earns 0
+//   criteria    [{ key, weight, from | when, properties }]
+//                 from        analysis path holding 0 / 0.5 / 1 (the prompt's eval block)
+//                 when        conditions (see below) instead of from: 1 when all hold, else 0
+//                 properties  scorecard properties the criterion value is written to
+//   overrides   [{ when, min?, max?, note }] applied to the score when all conditions hold
+//   properties  { score, earned? } scorecard properties for the final score and the raw points
+//               (earned only once the property exists on the scorecard: config/hubspotSchema.js)
+//
+// Conditions: { path, equals } | { path, in: [...] } | { path, present: true }
+//
+// A rubric without criteria only adjusts the model's own rating (applyOverrides); the
+// follow-up prompt has no eval block to score.
+
+export const RUBRICS = {
+  qualification: {
+    version: 2,
+    max: 10,
+    floor: 0,
+    credit: { 1: 1, 0.5: 0.5 },
+    criteria: [
+      { key: "qual_commitment_requested", weight: 2.0 },
+      { key: "qual_relevant_pain_identified", weight: 1.5 },
+      { key: "qual_benefits_linked_to_needs", weight: 1.5 },
+      { key: "qual_open_question", weight: 1.0 },
+      { key: "qual_clear_responses_or_followup", weight: 1.0 },
+      { key: "qual_next_steps_confirmed", weight: 1.0 },
+      { key: "qual_services_explained_clearly", weight: 0.75 },
+      { key: "qual_intro", weight: 0.5 },
+      { key: "qual_rapport", weight: 0.5 },
+      { key: "qual_active_listening", weight: 0.25 },
+    ].map(c => ({ ...c, from: `qualification_eval.${c.key}`, properties: [c.key] })),
+    overrides: [],
+    properties: { score: "qual_score_final" },
+  },
+
+  // Scorecard properties with nothing in consult_eval to feed them (consult_fees_annualised,
+  // consult_fee_phrasing_three_seven_five, consult_next_contact_within_5_days,
+  // consult_prospect_asked_next_steps) are left unset rather than copied from another behaviour.
+  initial_consultation: {
+    version: 2,
+    max: 10,
+    floor: 1,
+    credit: { 1: 1, 0.5: 0.5 },
+    criteria: [
+      { key: "customer_agreed_to_set_up", weight: 2.0,
+        when: [{ path: "outcome", equals: "Proceed now" }],
+        properties: ["consult_customer_agreed_to_set_up"] },
+      { key: "commitment_requested", weight: 1.0, from: "consult_eval.commitment_requested",
+        properties: ["consult_closing_question_asked"] },
+      { key: "next_step_specific_date_time", weight: 1.0, from: "consult_eval.next_step_specific_date_time",
+        properties: ["consult_next_step_specific_date_time"] },
+      { key: "quantified_value_roi", weight: 1.0, from: "consult_eval.quantified_value_roi",
+        properties: ["consult_quantified_value_roi", "consult_demo_tax_saving"] },
+      { key: "fees_tax_deductible_explained", weight: 0.9, from: "consult_eval.fees_tax_deductible_explained",
+        properties: ["consult_fees_tax_deductible_explained"] },
+      { key: "needs_pain_uncovered", weight: 0.6, from: "consult_eval.needs_pain_uncovered",
+        properties: ["consult_needs_pain_uncovered"] },
+      { key: "benefits_linked_to_needs", weight: 0.6, from: "consult_eval.benefits_linked_to_needs" },
+      { key: "specific_tax_estimate_given", weight: 0.5, from: "consult_eval.specific_tax_estimate_given",
+        properties: ["consult_specific_tax_estimate_given"] },
+      { key: "next_steps_confirmed", weight: 0.4, from: "consult_eval.next_steps_confirmed" },
+      { key: "services_explained_clearly", weight: 0.4, from: "consult_eval.services_explained_clearly" },
+      { key: "open_question", weight: 0.4, from: "consult_eval.open_question",
+        properties: ["consult_no_assumptions_evidence_gathered"] },
+      { key: "intro", weight: 0.2, from: "consult_eval.intro",
+        properties: ["consult_confirm_reason_for_zoom", "consult_purpose_clearly_stated"] },
+      { key: "rapport_open", weight: 0.2, from: "consult_eval.rapport_open",
+        properties: ["consult_rapport_open"] },
+      { key: "interactive_throughout", weight: 0.2, from: "consult_eval.interactive_throughout",
+        properties: ["consult_interactive_throughout"] },
+      { key: "clear_responses_or_followup", weight: 0.2, from: "consult_eval.clear_responses_or_followup" },
+      { key: "active_listening", weight: 0.2, from: "consult_eval.active_listening" },
+      { key: "collected_dob_nin_when_agreed", weight: 0.2,
+        when: [
+          { path: "outcome", equals: "Proceed now" },
+          { path: "key_details.dob", present: true },
+          { path: "key_details.ni", present: true },
+        ],
+        properties: ["consult_collected_dob_nin_when_agreed"] },
+      // Outcome signals: written to the scorecard, not scored
+      { key: "overcame_objection_and_closed", weight: 0,
+        when: [{ path: "outcome", equals: "Proceed now" }, { path: "objections", present: true }],
+        properties: ["consult_overcame_objection_and_closed"] },
+      { key: "strong_buying_signals_detected", weight: 0,
+        when: [{ path: "outcome", in: ["Proceed now", "Likely"] }],
+        properties: ["consult_strong_buying_signals_detected"] },
+    ],
+    overrides: [
+      { when: [{ path: "outcome", equals: "Proceed now" }], min: 8, note: "Agreed to proceed" },
+    ],
+    properties: { score: "consult_score_final" },
+  },
+
+  follow_up: {
+    version: 1,
+    max: 10,
+    floor: 1,
+    credit: { 1: 1, 0.5: 0.5 },
+    criteria: [],
+    overrides: [
+      { when: [{ path: "ai_followup_outcome", equals: "Closed" }], min: 8, note: "Closed on the call" },
+    ],
+    properties: {},
+  },
+};
@@ -0,0 +1,265 @@
+// eval/run.js
+// Offline evaluation against golden transcripts.
+// Runs each case through the analyser and HubSpot property builders its call type
+// routes to (config/callTypes.js), then
+// reports field-by-field accuracy and what changed since the previous run.
+//
+// Usage:
+//   npm run eval                             replay recorded / hand-written LLM replies (no network)
+//   npm run eval -- --record                 call the real LLM and save its replies to eval/recordings/
+//   npm run eval -- --live                   call the real LLM, save nothing
+//   npm run eval -- --case qual              only cases whose name contains "qual"
+//   npm run eval -- --baseline <file>        compare with this results file instead of the latest one
+//   npm run eval -- --fail-on-regression     exit 1 when a field that passed before now fails
+//
+// Golden case: eval/golden/<name>.json
+//   {
+//     "callType": "Qualification call",            HubSpot label (see config/callTypes.js)
+//     "transcript": "...",  or  "transcriptFile": "<name>.txt"   (relative to eval/golden)
+//     "llm": { "qualification": [ { ...model reply... } ] },   mock replies, used when no recording exists
+//     "expected": {
+//       "analysis":  { "ai_qualification_outcome": "Booked Initial Consultation", "qualification_eval.qual_intro": 1 },
+//       "call":      { "ai_objection_categories": "Authority" },
+//       "scorecard": { "qual_score_final": { "min": 6, "max": 8 } }
+//     }
+//   }
+// Expected values match exactly, or use { "oneOf": [...] }, { "min", "max" } or { "includes": "..." }.
+// Replies are consumed in order per call type (repair prompts take the next one; the last repeats).
+//
+// Results: eval/results/<timestamp>.json (git-ignored).
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { setChatTransport } from "../ai/llm.js";
+import { routeFor } from "../config/callTypes.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const GOLDEN_DIR = path.join(__dirname, "golden");
+const RECORDINGS_DIR = path.join(__dirname, "recordings");
+const RESULTS_DIR = path.join(__dirname, "results");
+const EVAL_CALL_ID = "eval";
+
+// ---------- args ----------
+function parseArgs(argv) {
+  const args = { mode: "replay", filter: "", baseline: null, failOnRegression: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--record") args.mode = "record";
+    else if (a === "--live") args.mode = "live";
+    else if (a === "--case") args.filter = argv[++i] || "";
+    else if (a === "--baseline") args.baseline = argv[++i] || null;
+    else if (a === "--fail-on-regression") args.failOnRegression = true;
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+  return args;
+}
+
+// ---------- golden cases ----------
+function loadCases(filter) {
+  return fs.readdirSync(GOLDEN_DIR)
+    .filter(f => f.endsWith(".json"))
+    .sort()
+    .map(f => {
+      const name = f.replace(/\.json$/, "");
+      const c = JSON.parse(fs.readFileSync(path.join(GOLDEN_DIR, f), "utf8"));
+      const transcript = c.transcriptFile
+        ? fs.readFileSync(path.join(GOLDEN_DIR, c.transcriptFile), "utf8")
+        : String(c.transcript || "");
+      return { name, ...c, transcript };
+    })
+    .filter(c => !filter || c.name.includes(filter));
+}
+
+function recordingPath(name) { return path.join(RECORDINGS_DIR, `${name}.json`); }
+
+function loadReplies(c) {
+  const file = recordingPath(c.name);
+  if (fs.existsSync(file)) return { source: "recording", replies: JSON.parse(fs.readFileSync(file, "utf8")) };
+  if (c.llm) return { source: "mock", replies: c.llm };
+  return { source: null, replies: {} };
+}
+
+// Replays replies per call type; records what a live run returns
+function transportFor(mode, replies, recorded) {
+  if (mode === "replay") {
+    const used = {};
+    return async ({ callType }) => {
+      const list = [].concat(replies[callType] ?? []);
+      if (!list.length) throw new Error(`no recorded reply for call type "${callType}"`);
+      const i = Math.min(used[callType] = (used[callType] ?? -1) + 1, list.length - 1);
+      const reply = list[i];
+      return { choices: [{ message: { content: typeof reply === "string" ? reply : JSON.stringify(reply) } }], usage: {} };
+    };
+  }
+  return async ({ callType }, send) => {
+    const data = await send();
+    if (mode === "record") {
+      const content = String(data?.choices?.[0]?.message?.content ?? "");
+      let reply = content;
+      try { reply = JSON.parse(content); } catch {}
+      (recorded[callType] ||= []).push(reply);
+    }
+    return data;
+  };
+}
+
+// ---------- matching ----------
+function getPath(obj, p) { return p.split(".").reduce((a, k) => (a == null ? undefined : a[k]), obj); }
+
+const isRule = (e) => e && typeof e === "object" && !Array.isArray(e) && ["oneOf", "min", "max", "includes"].some(k => k in e);
+
+function norm(v) {
+  if (typeof v === "string") return v.trim();
+  if (Array.isArray(v)) return v.map(norm);
+  return v;
+}
+
+function matches(expected, actual) {
+  if (isRule(expected)) {
+    if ("oneOf" in expected && !expected.oneOf.some(e => matches(e, actual))) return false;
+    if ("min" in expected && !(Number(actual) >= expected.min)) return false;
+    if ("max" in expected && !(Number(actual) <= expected.max)) return false;
+    if ("includes" in expected) {
+      const hay = Array.isArray(actual) ? actual.map(String) : String(actual ?? "");
+      const needle = String(expected.includes);
+      return Array.isArray(hay) ? hay.includes(needle) : hay.toLowerCase().includes(needle.toLowerCase());
+    }
+    return true;
+  }
+  if (typeof expected === "number" && actual != null && actual !== "") return Number(actual) === expected;
+  return JSON.stringify(norm(expected)) === JSON.stringify(norm(actual));
+}
+
+// ---------- run ----------
+async function runCase(c, mode) {
+  // Same analyser and property builders as the worker (config/callTypes.js)
+  const route = routeFor(c.callType);
+  const callType = route.key;
+  const out = { name: c.name, callType, source: null, ok: true, error: null, schemaFailures: 0, fields: {} };
+
+  const { source, replies } = mode === "replay" ? loadReplies(c) : { source: mode, replies: {} };
+  out.source = source;
+  const recorded = {};
+  const schemaFailures = [];
+  setChatTransport(transportFor(mode, replies, recorded));
+
+  let subjects;
+  try {
+    if (mode === "replay" && !source) throw new Error("no recording and no mock replies (run with --record)");
+    const analysis = await route.analyse(c.transcript, { schemaFailures }, c.callType);
+    subjects = {
+      analysis,
+      call: route.callProps(analysis),
+      scorecard: route.scorecard ? route.scorecard.props({ callId: EVAL_CALL_ID, analysis }) : {},
+    };
+    out.promptVersion = analysis.prompt_version || null;
+  } catch (err) {
+    out.ok = false;
+    out.error = err.message;
+    subjects = { analysis: {}, call: {}, scorecard: {} };
+  } finally {
+    setChatTransport(null);
+  }
+  out.schemaFailures = schemaFailures.length;
+
+  if (mode === "record" && Object.keys(recorded).length) {
+    fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+    fs.writeFileSync(recordingPath(c.name), JSON.stringify(recorded, null, 2) + "\n");
+  }
+
+  for (const [subject, fields] of Object.entries(c.expected || {})) {
+    for (const [p, expected] of Object.entries(fields || {})) {
+      const actual = getPath(subjects[subject], p);
+      out.fields[`${subject}.${p}`] = { expected, actual: actual ?? null, pass: out.ok && matches(expected, actual) };
+    }
+  }
+  return out;
+}
+
+function summarise(cases) {
+  const fields = {};
+  let pass = 0, total = 0;
+  for (const c of cases) {
+    for (const [f, r] of Object.entries(c.fields)) {
+      const s = (fields[f] ||= { pass: 0, total: 0 });
+      s.total++; total++;
+      if (r.pass) { s.pass++; pass++; }
+    }
+  }
+  return { fields, pass, total, accuracy: total ? pass / total : null };
+}
+
+function previousResults(baseline) {
+  if (baseline) return JSON.parse(fs.readFileSync(path.resolve(baseline), "utf8"));
+  if (!fs.existsSync(RESULTS_DIR)) return null;
+  const last = fs.readdirSync(RESULTS_DIR).filter(f => f.endsWith(".json")).sort().pop();
+  return last ? JSON.parse(fs.readFileSync(path.join(RESULTS_DIR, last), "utf8")) : null;
+}
+
+const pct = (n) => (n == null ? "  n/a" : `${(n * 100).toFixed(1).padStart(5)}%`);
+
+function report(run, prev) {
+  console.log(`\n[eval] ${run.cases.length} case(s), mode=${run.mode}`);
+  for (const c of run.cases) {
+    const fields = Object.values(c.fields);
+    const passed = fields.filter(f => f.pass).length;
+    const note = c.error ? ` ERROR: ${c.error}` : (c.schemaFailures ? ` (${c.schemaFailures} schema failure(s))` : "");
+    console.log(`  ${c.ok ? "✓" : "✗"} ${c.name.padEnd(32)} ${String(passed).padStart(3)}/${fields.length} ${c.promptVersion || ""} [${c.source || "-"}]${note}`);
+    for (const [f, r] of Object.entries(c.fields)) {
+      if (!r.pass && c.ok) console.log(`      ${f}: expected ${JSON.stringify(r.expected)}, got ${JSON.stringify(r.actual)}`);
+    }
+  }
+
+  const prevFields = prev?.summary?.fields || {};
+  console.log("\n  field accuracy" + (prev ? ` (vs ${prev.startedAt})` : ""));
+  for (const [f, s] of Object.entries(run.summary.fields).sort()) {
+    const now = s.pass / s.total;
+    const p = prevFields[f];
+    const before = p ? p.pass / p.total : null;
+    const delta = before == null ? "" : now === before ? "" : `  ${now > before ? "▲" : "▼"} from ${pct(before).trim()}`;
+    console.log(`    ${f.padEnd(60)} ${pct(now)} (${s.pass}/${s.total})${delta}`);
+  }
+  console.log(`\n  overall ${pct(run.summary.accuracy)} (${run.summary.pass}/${run.summary.total})` +
+    (prev?.summary && prev.filter === run.filter ? `, previous ${pct(prev.summary.accuracy).trim()}` : ""));
+
+  // Case/field pairs that flipped since the previous run
+  const regressions = [], fixes = [];
+  const prevCases = Object.fromEntries((prev?.cases || []).map(c => [c.name, c]));
+  for (const c of run.cases) {
+    for (const [f, r] of Object.entries(c.fields)) {
+      const before = prevCases[c.name]?.fields?.[f];
+      if (!before) continue;
+      if (before.pass && !r.pass) regressions.push(`${c.name}: ${f}`);
+      if (!before.pass && r.pass) fixes.push(`${c.name}: ${f}`);
+    }
+  }
+  if (fixes.length) console.log(`\n  fixed (${fixes.length}):\n    ` + fixes.join("\n    "));
+  if (regressions.length) console.log(`\n  REGRESSED (${regressions.length}):\n    ` + regressions.join("\n    "));
+  return { regressions, fixes };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const cases = loadCases(args.filter);
+  if (!cases.length) throw new Error(`No golden cases in ${GOLDEN_DIR}${args.filter ? ` matching "${args.filter}"` : ""}`);
+
+  const prev = previousResults(args.baseline);
+  const startedAt = new Date().toISOString();
+  const results = [];
+  for (const c of cases) results.push(await runCase(c, args.mode));
+
+  const run = { startedAt, mode: args.mode, filter: args.filter || null, cases: results, summary: summarise(results) };
+  const { regressions } = report(run, prev);
+
+  fs.mkdirSync(RESULTS_DIR, { recursive: true });
+  const file = path.join(RESULTS_DIR, `${startedAt.replace(/[:.]/g, "-")}.json`);
+  fs.writeFileSync(file, JSON.stringify(run, null, 2) + "\n");
+  console.log(`\n[eval] results written to ${path.relative(process.cwd(), file)}`);
+
+  if (results.some(c => !c.ok) || (args.failOnRegression && regressions.length)) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error("❌ eval failed:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,96 @@
+// hubspot/callNote.js
+// Builds the timeline Note posted with each analysed call: a short executive
+// summary from the analysis plus the transcript (inline, or as an attached file).
+// Pure formatting only — the HubSpot writes live in hubspot.js (upsertNote, uploadFile).
+
+const esc = (s) => String(s ?? "")
+  .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+const asList = (v) => {
+  if (Array.isArray(v)) return v.map(x => String(x ?? "").trim()).filter(Boolean);
+  const s = String(v ?? "").trim();
+  if (!s || /^(not mentioned|none|n\/a)\.?$/i.test(s)) return [];
+  return s.split(/\n|;\s*/).map(t => t.replace(/^[-•\s]+/, "").trim()).filter(Boolean);
+};
+
+const asValue = (v) => {
+  if (v == null || v === "") return "";
+  return String(v).trim();
+};
+
+// [label, getter, kind] per config/callTypes.js key; kind "list" renders bullets.
+// Types without their own list (annual review, strategy call ...) use the consultation one.
+const SUMMARY_FIELDS = {
+  initial_consultation: [
+    ["Outcome", a => asValue(a.outcome)],
+    ["Likelihood to close", a => (typeof a.likelihood_to_close === "number" ? `${a.likelihood_to_close}%` : "")],
+    ["Products discussed", a => (a.key_details?.products_discussed || []).join(", ")],
+    ["Objections", a => a.objections, "list"],
+    ["Next steps", a => a.next_actions, "list"],
+    ["Materials to send", a => a.materials_to_send, "list"],
+    ["Why", a => asValue(a.score_reasoning)],
+  ],
+  qualification: [
+    ["Outcome", a => asValue(a.ai_qualification_outcome)],
+    ["Likelihood to book IC", a => asValue(a.ai_qualification_likelihood_to_book_ic)],
+    ["Company director", a => asValue(a.ai_is_company_director)],
+    ["Product interest", a => asValue(a.ai_product_interest)],
+    ["Problem to solve", a => asValue(a.ai_problem_to_solve)],
+    ["Objections", a => a.ai_qualification_key_objections ?? a.ai_key_objections, "list"],
+    ["Next steps", a => a.ai_qualification_next_steps ?? a.ai_next_steps, "list"],
+  ],
+  follow_up: [
+    ["Outcome", a => asValue(a.ai_followup_outcome)],
+    ["Likelihood to close", a => (a.ai_followup_likelihood_to_close != null ? `${a.ai_followup_likelihood_to_close}/10` : "")],
+    ["Materials reviewed", a => asValue(a.ai_materials_reviewed)],
+    ["Objections remaining", a => a.ai_key_objections, "list"],
+    ["Next steps", a => a.ai_next_steps, "list"],
+  ],
+  application: [
+    ["Objections", a => a.ai_application_objections, "list"],
+    ["Missing information", a => a.ai_application_missing_information, "list"],
+    ["Next steps", a => a.ai_next_steps, "list"],
+  ],
+};
+
+/**
+ * callSummaryHtml(callType, analysis) -> "<p>...</p>" executive summary (empty fields skipped)
+ */
+export function callSummaryHtml(callType, analysis = {}) {
+  const parts = [];
+  for (const [label, get, kind] of SUMMARY_FIELDS[callType] || SUMMARY_FIELDS.initial_consultation) {
+    const raw = get(analysis);
+    if (kind === "list") {
+      const items = asList(raw);
+      if (items.length) parts.push(`<p><strong>${esc(label)}:</strong></p><ul>${items.map(i => `<li>${esc(i)}</li>`).join("")}</ul>`);
+    } else if (asValue(raw)) {
+      parts.push(`<p><strong>${esc(label)}:</strong> ${esc(raw)}</p>`);
+    }
+  }
+  return parts.join("");
+}
+
+/**
+ * callNoteHtml({ typeLabel, callType, analysis, transcript, transcriptFileName, maxChars })
+ *   -> { html, transcriptInline }
+ * The transcript is inlined when given and the note stays under maxChars; otherwise the
+ * note points at the attached file (transcriptFileName).
+ */
+export function callNoteHtml({ typeLabel, callType, analysis, transcript, transcriptFileName, maxChars = 60_000 }) {
+  const head = [
+    `<p><strong>AI call summary — ${esc(typeLabel || "Call")}</strong></p>`,
+    callSummaryHtml(callType, analysis) || "<p>No summary available.</p>",
+  ];
+  const foot = `<p><em>Generated by the AI call worker${analysis?.prompt_version ? ` (${esc(analysis.prompt_version)})` : ""}.</em></p>`;
+
+  const text = String(transcript || "").trim();
+  if (text) {
+    const body = `<p><strong>Transcript</strong></p><p>${esc(text).replace(/\r?\n/g, "<br>")}</p>`;
+    const html = [...head, body, foot].join("");
+    if (html.length <= maxChars) return { html, transcriptInline: true };
+  }
+  const pointer = transcriptFileName
+    ? `<p><strong>Transcript:</strong> attached as ${esc(transcriptFileName)}.</p>`
+    : "";
+  return { html: [...head, pointer, foot].join(""), transcriptInline: false };
+}
@@ -1,4 +1,36 @@
-// hubspot/hubspot.js — v1.18 (qualification clamp + enums + bullets)
+// hubspot/hubspot.js — v1.27 (per-property write checks)
+// Changes vs v1.26:
+// - Call / scorecard writes go through writeProperties(): values are checked against the
+//   portal's property definitions (cached per object type, HUBSPOT_PROPERTY_CACHE_MS,
+//   default 15 min) and unknown properties, unknown enum options and non-numbers are left
+//   out instead of failing the whole PATCH; over-long text is truncated. The call updaters
+//   return { rejected } and the scorecard writers { id, rejected } so jobs/pipeline.js can
+//   record what was not written.
+//   HUBSPOT_CHECK_WRITES=off sends the properties unchecked.
+//   Network errors, 429 and 5xx from those writes throw (isTransient) so the written stage
+//   is retried by the job queue instead of the call being marked written.
+//   Any other failure of the whole write reports every property it sent as rejected.
+// Changes vs v1.25:
+// - CALL and scorecard properties come from config/mappings.js via hubspot/mapping.js;
+//   the *Props builders are thin wrappers. Empty-value text is the same across call types
+//   ("No objections", "Nothing outstanding", ...) and the 0–100 -> 1–10 scale is defined once
+// Changes vs v1.24:
+// - ai_inferred_call_type / ai_call_type_confidence / ai_call_type_mismatch come from the
+//   transcript classification (analysis.call_classification) instead of a fixed confidence of 90
+// Changes vs v1.23:
+// - upsertNote / associateNote / uploadFile / archiveFile for the call summary + transcript note
+// Changes vs v1.22:
+// - updateScorecard(scorecardId, props) so a reprocessed call updates its existing scorecard
+// Changes vs v1.21:
+// - Property building split from the HubSpot writes (consultationCallProps, qualificationCallProps,
+//   followUpCallProps, applicationCallProps and the *ScorecardProps) — no behaviour change
+// Changes vs v1.20:
+// - getOwnerName / getContactName used to label transcript speakers
+// Changes vs v1.19:
+// - Application meeting updater (ai_application_objections, ai_application_missing_information); no scorecard
+// Changes vs v1.18:
+// - Follow-up Call updater (ai_followup_outcome, ai_materials_reviewed, ai_follow_up_*) + scorecard
+// - Contact/owner/call search and call creation for Zoom intake
 // Changes vs v1.17:
 // - Objection category now returns ONLY: Price | Timing | Risk | Complexity | Authority | Clarity
 // - Qualification updater clamps ai_objection_categories to allowed set (fallback Clarity)
@@ -6,9 +38,13 @@
 //   short 4-bullet coaching, owner propagated to scorecard, CT bill parsing, etc.
 
 import fetch from "node-fetch";
+import FormData from "form-data";
 import dotenv from "dotenv";
+import { buildProps } from "./mapping.js";
+import { MAPPINGS } from "../config/mappings.js";
+import { readPortalProperties } from "./schema.js";
+import { checkProperties, rejectedByHubSpot, describeRejected } from "./properties.js";
 dotenv.config();
-function _asTextOrEmpty(v){ return (v == null ? "" : String(v)); }
 const HUBSPOT_TOKEN =
   process.env.HUBSPOT_PRIVATE_APP_TOKEN ||
   process.env.HUBSPOT_TOKEN ||
@@ -33,95 +69,84 @@ async function hsFetch(url, init = {}) {
   });
   if (!res.ok) {
     const text = await res.text().catch(() => "");
-    throw new Error(`${init.method || "GET"} ${url} -> ${res.status} ${text}`);
+    throw Object.assign(new Error(`${init.method || "GET"} ${url} -> ${res.status} ${text}`), { status: res.status, body: text });
   }
   try { return await res.json(); } catch { return {}; }
 }
 
-// ---------- helpers ----------
-const toText = (v, fb = "") => {
-  if (v == null) return fb;
-  if (Array.isArray(v)) return v.map((x) => toText(x, "")).filter(Boolean).join("; ");
-  if (typeof v === "object") return String(v?.text ?? v?.content ?? v?.value ?? JSON.stringify(v));
-  const s = String(v).trim();
-  return s || fb;
-};
-const toLines = (v) => Array.isArray(v) ? v.map(x => toText(x, "")).filter(Boolean).join("\n") : toText(v, "");
-const toNumberOrNull = (v) => {
-  const n = Number(v);
-  return Number.isFinite(n) ? n : null;
-};
-const toEnum = (value, allowed = [], fallback) => {
-  const s = String(value ?? "").trim();
-  return allowed.includes(s) ? s : (fallback ?? (allowed[0] ?? ""));
-};
-const parseApproxNumber = (x) => {
-  const s = toText(x, "");
-  if (!s) return null;
-  const cleaned = s.replace(/[, ]/g, "").replace(/£/g, "").toLowerCase();
-  // handle “100k” / “75k”
-  const mK = cleaned.match(/^(\d+(\.\d+)?)k$/);
-  if (mK) return Math.round(Number(mK[1]) * 1000);
-  const only = cleaned.replace(/[^0-9.]/g, "");
-  const n = Number(only);
-  return Number.isFinite(n) ? n : null;
-};
-
-// Short, imperative bullets, up to 4, improvement-priority
-function limitBullets(bullets = [], max = 4) {
-  const clean = (s) => String(s || "")
-    .replace(/^[--\s]+/, "")
-    .replace(/\.$/, "")
-    .trim();
-  return bullets.map(clean).filter(Boolean).slice(0, max);
-}
-
-// Derive concise qualification coaching bullets
-function buildQualificationBullets(data = {}) {
-  // Prefer model-provided bullets if present
-  const provided = Array.isArray(data?.sales_performance_summary_bullets)
-    ? data.sales_performance_summary_bullets
-    : [];
-  if (provided.length) {
-    return limitBullets(provided, 4);
-  }
-
-  // Otherwise derive from qualification_eval flags
-  const q = data?.qualification_eval || {};
-  const improvemap = [
-    ["qual_intro", "Tighten your intro and purpose."],
-    ["qual_open_question", "Ask more open questions."],
-    ["qual_benefits_linked_to_needs", "Link benefits to stated needs."],
-    ["qual_relevant_pain_identified", "Surface a specific pain point earlier."],
-    ["qual_clear_responses_or_followup", "Give clearer, complete responses."],
-    ["qual_services_explained_clearly", "Explain TLPI services more clearly."],
-    ["qual_rapport", "Build rapport more intentionally."],
-    ["qual_next_steps_confirmed", "Confirm next steps explicitly."],
-    ["qual_commitment_requested", "Ask for commitment to book the IC."],
-    ["qual_active_listening", "Demonstrate active listening cues."],
-  ];
-  const improvements = improvemap.filter(([k]) => q?.[k] !== 1).map(([, msg]) => msg);
-  const positives = improvemap.filter(([k]) => q?.[k] === 1).map(([, msg]) => msg.replace("more ", "")); // shorter positive
+// 404 / 410: the object was deleted in HubSpot, as opposed to a failed request
+export const isGone = (err) => err?.status === 404 || err?.status === 410;
 
-  let out = [];
-  if (improvements.length >= 4) out = improvements.slice(0, 4);
-  else out = [...improvements, ...positives].slice(0, 4);
+// Network errors, 429 and 5xx: worth retrying the whole stage (jobs/queue.js backs off)
+export const isTransient = (err) => !err?.status || err.status === 429 || err.status >= 500;
 
-  return limitBullets(out, 4);
+// ---------- helpers ----------
+// Properties for one object of a mapping (config/mappings.js)
+const mappedProps = (mapping, analysis, ctx, object = "call") => buildProps(MAPPINGS[mapping], analysis, ctx, object);
+
+// ---------- property definitions / checked writes ----------
+const PROPERTY_CACHE_MS = Number(process.env.HUBSPOT_PROPERTY_CACHE_MS || 15 * 60 * 1000);
+const CHECK_WRITES = String(process.env.HUBSPOT_CHECK_WRITES || "on").toLowerCase() !== "off";
+
+const definitionCache = new Map(); // objectType -> { at, definitions: Promise<Map | null> }
+
+// Property definitions by name, or null when they can't be read (the write then goes unchecked)
+export function getPropertyDefinitions(objectType, { refresh = false } = {}) {
+  const hit = definitionCache.get(objectType);
+  if (hit && !refresh && Date.now() - hit.at < PROPERTY_CACHE_MS) return hit.definitions;
+  const definitions = readPortalProperties(objectType).catch((err) => {
+    console.warn(`[hubspot] ${objectType} property definitions unavailable, writing unchecked:`, err.message);
+    definitionCache.delete(objectType);
+    return null;
+  });
+  definitionCache.set(objectType, { at: Date.now(), definitions });
+  return definitions;
 }
 
-// Map objection text to ONE allowed enum:
-// Price | Timing | Risk | Complexity | Authority | Clarity
-function categorizeObjections(text = "") {
-  const s = String(text || "").toLowerCase();
+/**
+ * writeProperties(objectType, objectId, props, tag) -> { result, rejected: [{ name, value, reason }] }
+ * Creates the object (no objectId) or PATCHes it with the properties HubSpot will accept.
+ * If HubSpot still rejects some (definitions changed since they were cached) those are
+ * dropped and the write is retried once. Any other failure throws.
+ */
+async function writeProperties(objectType, objectId, props, tag = "[hubspot]") {
+  const url = `${HS.base}/crm/v3/objects/${objectType}${objectId ? `/${objectId}` : ""}`;
+  const where = `${objectType}/${objectId || "new"}`;
+  let properties = { ...(props || {}) };
+  const rejected = [];
+
+  const definitions = CHECK_WRITES ? await getPropertyDefinitions(objectType) : null;
+  if (definitions) {
+    const checked = checkProperties(properties, definitions);
+    properties = checked.properties;
+    rejected.push(...checked.rejected);
+    for (const c of checked.coerced) console.log(`${tag} ${where} ${c.name}: ${c.reason}`);
+  }
 
-  if (/(price|fee|cost|expens|cheaper|quote)/i.test(s)) return "Price";
-  if (/(time|timing|delay|later|not.*good.*time|busy|next month)/i.test(s)) return "Timing";
-  if (/(complex|confus|complicated|too much effort)/i.test(s)) return "Complexity";
-  if (/(risk|trust|security|safe|regulated|scam|reputation)/i.test(s)) return "Risk";
-  if (/(partner|accountant|director|board|co[- ]?director|wife|husband|spouse|need.*approval|sign.?off|decision[- ]?maker)/i.test(s)) return "Authority";
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await hsFetch(url, { method: objectId ? "PATCH" : "POST", body: JSON.stringify({ properties }) });
+      if (rejected.length) console.warn(`${tag} ${where}: not written: ${describeRejected(rejected)}`);
+      return { result, rejected };
+    } catch (err) {
+      const invalid = attempt === 0 && err.status === 400 ? rejectedByHubSpot(err.body).filter(r => r.name in properties) : [];
+      if (!invalid.length) throw err;
+      for (const r of invalid) {
+        rejected.push({ ...r, value: properties[r.name] });
+        delete properties[r.name];
+      }
+      definitionCache.delete(objectType); // stale; re-read on the next write
+    }
+  }
+}
 
-  return "Clarity"; // safe fallback
+// Every property of a write HubSpot refused outright (403, 404, a 400 naming no property, ...),
+// so the whole write is reported as not written rather than as nothing rejected
+function refusedWrite(props, err) {
+  let message = err.body || err.message;
+  try { message = JSON.parse(err.body).message || message; } catch {}
+  const reason = `write failed (${err.status}): ${String(message).slice(0, 200)}`;
+  return Object.entries(props || {}).filter(([, v]) => v !== undefined).map(([name, value]) => ({ name, value, reason }));
 }
 
 // ---------- READ ----------
@@ -147,6 +172,117 @@ export async function getAssociations(callId, toType) {
   }
 }
 
+// ---------- SEARCH / CREATE (Zoom intake) ----------
+async function hsSearch(objectType, body) {
+  const url = `${HS.base}/crm/v3/objects/${objectType}/search`;
+  const data = await hsFetch(url, { method: "POST", body: JSON.stringify(body) });
+  return data?.results || [];
+}
+
+export async function findContactsByEmails(emails = []) {
+  const values = [...new Set(emails.map((e) => String(e).trim().toLowerCase()).filter(Boolean))];
+  if (!values.length) return [];
+  return hsSearch("contacts", {
+    filterGroups: [{ filters: [{ propertyName: "email", operator: "IN", values }] }],
+    properties: ["email", "firstname", "lastname", "hubspot_owner_id"],
+    limit: 100,
+  });
+}
+
+export async function findOwnerIdByEmail(email) {
+  if (!email) return null;
+  try {
+    const data = await hsFetch(`${HS.base}/crm/v3/owners?email=${encodeURIComponent(email)}&limit=1`);
+    return data?.results?.[0]?.id || null;
+  } catch (e) {
+    console.warn("[warn] owner lookup failed for", email, e.message);
+    return null;
+  }
+}
+
+// Full name of a HubSpot owner (the consultant), or null
+export async function getOwnerName(ownerId) {
+  if (!ownerId) return null;
+  try {
+    const o = await hsFetch(`${HS.base}/crm/v3/owners/${encodeURIComponent(ownerId)}`);
+    return [o?.firstName, o?.lastName].filter(Boolean).join(" ").trim() || o?.email || null;
+  } catch (e) {
+    console.warn("[warn] owner name lookup failed for", ownerId, e.message);
+    return null;
+  }
+}
+
+// Full name of a contact (the prospect), or null
+export async function getContactName(contactId) {
+  if (!contactId) return null;
+  try {
+    const c = await getHubSpotObject("contacts", contactId, ["firstname", "lastname"]);
+    return [c?.properties?.firstname, c?.properties?.lastname].filter(Boolean).join(" ").trim() || null;
+  } catch (e) {
+    console.warn("[warn] contact name lookup failed for", contactId, e.message);
+    return null;
+  }
+}
+
+/**
+ * findCallForMeeting({ meetingUuid, contactIds, startTime, endTime })
+ * 1) a call already stamped with this Zoom meeting UUID (HubSpot Zoom integration / our own intake)
+ * 2) otherwise a call on one of the contacts within ±2h of the meeting, closest first
+ */
+export async function findCallForMeeting({ meetingUuid, contactIds = [], startTime, endTime }) {
+  const props = ["hs_timestamp", "hs_activity_type", "hs_call_zoom_meeting_uuid", "hubspot_owner_id"];
+  if (meetingUuid) {
+    const byUuid = await hsSearch("calls", {
+      filterGroups: [{ filters: [{ propertyName: "hs_call_zoom_meeting_uuid", operator: "EQ", value: String(meetingUuid) }] }],
+      properties: props,
+      limit: 1,
+    });
+    if (byUuid[0]) return byUuid[0];
+  }
+
+  const start = new Date(startTime || Date.now()).getTime();
+  const end = new Date(endTime || start).getTime();
+  const slack = 2 * 3600_000;
+  const candidates = [];
+  for (const cid of contactIds) {
+    const found = await hsSearch("calls", {
+      filterGroups: [{ filters: [
+        { propertyName: "associations.contact", operator: "EQ", value: String(cid) },
+        { propertyName: "hs_timestamp", operator: "BETWEEN", value: String(start - slack), highValue: String(end + slack) },
+      ] }],
+      properties: props,
+      limit: 10,
+    });
+    candidates.push(...found);
+  }
+  const dist = (c) => Math.abs(new Date(c.properties?.hs_timestamp).getTime() - start);
+  return candidates.sort((a, b) => dist(a) - dist(b))[0] || null;
+}
+
+export async function createCall({ title, timestamp, durationMs, ownerId, meetingUuid, recordingUrl, contactIds = [] }) {
+  const TYPE_CALL_TO_CONTACT = 194;
+  const properties = {
+    hs_timestamp: new Date(timestamp || Date.now()).toISOString(),
+    hs_call_title: title || "Zoom meeting",
+    hs_call_status: "COMPLETED",
+    hs_call_source: "ZOOM",
+    hs_call_duration: durationMs ? String(durationMs) : undefined,
+    hs_call_zoom_meeting_uuid: meetingUuid || undefined,
+    hs_call_video_recording_url: recordingUrl || undefined,
+    hubspot_owner_id: ownerId || undefined,
+  };
+  const associations = contactIds.map((id) => ({
+    to: { id: String(id) },
+    types: [{ associationCategory: "HUBSPOT_DEFINED", associationTypeId: TYPE_CALL_TO_CONTACT }],
+  }));
+  const created = await hsFetch(`${HS.base}/crm/v3/objects/calls`, {
+    method: "POST",
+    body: JSON.stringify({ properties, associations }),
+  });
+  console.log("[hubspot] Created call", created?.id, "for contacts", contactIds.join(","));
+  return created;
+}
+
 // ---------- association discovery/attempts ----------
 async function discoverAssocMeta(fromType, toType) {
   try {
@@ -284,369 +420,246 @@ export async function associateScorecardAllViaTypes({ scorecardId, callId, conta
 }
 
 // ---------- CALL UPDATE (Initial Consultation path) ----------
-export async function updateCall(callId, analysis) {
-  const callType = analysis?.call_type || "Initial Consultation";
-  const conf = typeof analysis?.ai_call_type_confidence === "number" ? String(analysis.ai_call_type_confidence) : "90";
-
-  const decisionCriteria = Array.isArray(analysis?.ai_decision_criteria) ? analysis.ai_decision_criteria : [];
-  const materials = Array.isArray(analysis?.materials_to_send) && analysis.materials_to_send.length ? analysis.materials_to_send : [];
-  const nextSteps = Array.isArray(analysis?.next_actions) && analysis.next_actions.length ? analysis.next_actions : [];
-  const objections = Array.isArray(analysis?.objections) ? analysis.objections : [];
-
-  const dataPointsText =
-    typeof analysis?.__data_points_captured_text === "string" && analysis.__data_points_captured_text.trim().length
-      ? analysis.__data_points_captured_text
-      : "No personal data captured.";
-
-  let productInterest = "";
-  const pd = analysis?.key_details?.products_discussed || [];
-  if (pd.length === 2) productInterest = "Both";
-  else if (pd.length === 1) productInterest = pd[0] || "";
-  if (!productInterest) productInterest = "Not mentioned";
-
-  const likeToClose =
-    typeof analysis?.likelihood_to_close === "number"
-      ? Math.max(1, Math.min(10, Math.round(analysis.likelihood_to_close / 10)))
-      : 1;
-
-  const allowed = new Set(["Price", "Timing", "Risk", "Complexity", "Authority", "Clarity"]);
-  let aiCat = "Clarity";
-  if (objections.some((o) => /price|fee|cost/i.test(o))) aiCat = "Price";
-  else if (objections.some((o) => /time|timeline|delay/i.test(o))) aiCat = "Timing";
-  else if (objections.some((o) => /risk/i.test(o))) aiCat = "Risk";
-  else if (objections.some((o) => /complex/i.test(o))) aiCat = "Complexity";
-  else if (objections.some((o) => /authority|sign off|decision/i.test(o))) aiCat = "Authority";
-  if (!allowed.has(aiCat)) aiCat = "Clarity";
-
-  const increaseLikely = Array.isArray(analysis?.increase_likelihood) ? analysis.increase_likelihood.join("; ") : (analysis?.increase_likelihood || "No suggestions.");
-  const perfSummary = analysis?.sales_performance_summary || "What went well:\n- \n\nAreas to improve:\n- ";
-  const perfScore = typeof analysis?.sales_performance_rating === "number" ? String(analysis.sales_performance_rating) : "";
-  const scoreReason = analysis?.score_reasoning || "No reasoning provided.";
-  const missingInfo = typeof analysis?.ai_missing_information === "string" && analysis.ai_missing_information.trim()
-    ? analysis.ai_missing_information : "Nothing requested or all information provided.";
-  const requestedMaterials = materials.length > 0 ? materials.join("; ") : "Nothing requested";
-
-  const props = {
-    ai_inferred_call_type: callType,
-    ai_call_type_confidence: conf,
-    ai_consultation_outcome: analysis?.outcome || "Unclear",
-    ai_consultation_likelihood_to_close: String(likeToClose),
-    ai_product_interest: (String(productInterest).toLowerCase()==='not mentioned'?'Unclear':productInterest),
-    ai_decision_criteria: decisionCriteria.join("; "),
-    ai_data_points_captured: dataPointsText,
-    ai_missing_information: _asTextOrEmpty(missingInfo),
-    ai_consultation_required_materials: requestedMaterials,
-    ai_next_steps: nextSteps.length ? nextSteps.join("; ") : "No next steps mentioned.",
-    ai_key_objections: objections.length ? objections.join("; ") : "No objections",
-    ai_objections_bullets: objections.length ? objections.join(" - ") : "No objections",
-    ai_primary_objection: objections[0] || "No objection",
-    ai_objection_severity: analysis?.ai_objection_severity || "Medium",
-    ai_objection_categories: aiCat,
-    chat_gpt___increase_likelihood_of_sale_suggestions: increaseLikely,
-    chat_gpt___sales_performance: perfScore,
-    chat_gpt___score_reasoning: scoreReason,
-    sales_performance_summary: perfSummary,
-  };
+// The *Props builders below are pure (no HubSpot calls) so eval/run.js can score them offline.
+export function consultationCallProps(analysis) {
+  return mappedProps("initial_consultation", analysis);
+}
 
-  const url = `${HS.base}/crm/v3/objects/calls/${callId}`;
-  try { await hsFetch(url, { method: "PATCH", body: JSON.stringify({ properties: props }) }); }
-  catch (e) { console.warn("[HubSpot] PATCH", url, "failed:", e.message); }
+export async function updateCall(callId, analysis) {
+  const props = consultationCallProps(analysis);
+  let rejected;
+  try { ({ rejected } = await writeProperties("calls", callId, props, "[HubSpot]")); }
+  catch (e) {
+    if (isTransient(e)) throw e;
+    console.warn("[HubSpot] PATCH", `calls/${callId}`, "failed:", e.message);
+    rejected = refusedWrite(props, e);
+  }
 
   try {
     const after = await getHubSpotObject("calls", callId, Object.keys(props));
     console.log("[debug] Call updated:", after?.properties || after);
   } catch {}
+  return { rejected };
+}
+
+// ---------- Qualification Call updater ----------
+export function qualificationCallProps(data) {
+  return mappedProps("qualification", data);
 }
 
-// ---------- Qualification Call updater (clamped & short) ----------
 export async function updateQualificationCall(callId, data) {
   const token = HUBSPOT_TOKEN;
-  if (!callId || !token) { console.warn("[qual] Missing callId or HubSpot token"); return; }
-  const url = `${HS.base}/crm/v3/objects/calls/${callId}`;
-
-  // Normalise inputs from analysis
-  const decisionCriteria = toLines(data?.ai_qualification_decision_criteria ?? data?.ai_decision_criteria);
-  const nextSteps = toLines(data?.ai_qualification_next_steps ?? data?.ai_next_steps);
-  const objectionsText = toLines(data?.ai_qualification_key_objections ?? data?.ai_key_objections);
-  const materials = toLines(data?.ai_qualification_required_materials ?? data?.ai_consultation_required_materials ?? data?.materials_to_send);
-
-  const likelihoodProceed = toNumberOrNull(
-    data?.ai_qualification_likelihood_to_proceed ?? data?.ai_consultation_likelihood_to_close
-  );
-
-  const likelihoodBookIC = toEnum(
-    data?.ai_qualification_likelihood_to_book_ic,
-    ["Booked", "Very Likely", "Likely", "Unclear", "Unlikely", "No"],
-    "Unclear"
-  );
-
-  const director = toEnum(
-    data?.ai_is_company_director,
-    ["Yes", "No", "Unsure"],
-    "Unsure"
-  );
-
-  // Product interest: default to "Unclear"
-  const productInterest = toEnum(
-    data?.ai_product_interest,
-    ["SSAS", "FIC", "Both", "Unclear"],
-    "Unclear"
-  );
-
-  // Build short coaching bullets (max 4)
-  const bullets = buildQualificationBullets(data);
-  const summaryShort = bullets.length
-    ? "- " + bullets.join("\n- ")
-    : "- Ask for commitment to book the IC\n- Confirm next steps explicitly";
-
-  // Derive objection category + primary, clamp to allowed enums
-  const derivedCategory = categorizeObjections(objectionsText);
-  const allowedObjectionEnums = new Set(["Price", "Timing", "Risk", "Complexity", "Authority", "Clarity"]);
-  const safeObjectionCategory = allowedObjectionEnums.has(derivedCategory) ? derivedCategory : "Clarity";
-
-  const primaryObjection = (() => {
-    if (!objectionsText) return "No objection";
-    const parts = objectionsText.split(/[\n;-]+/).map(s => s.trim()).filter(Boolean);
-    return parts[0] || "No objection";
-  })();
-
-  // Defaults for qual context
-  const dataPoints = (() => {
-    if (Array.isArray(data?.ai_data_points_captured) && data.ai_data_points_captured.length) {
-      return data.ai_data_points_captured.join("; ");
-    }
-    const t = toText(data?.ai_data_points_captured, "");
-    return t ? t : "No data points captured";
-  })();
-
-  const missingInfo = (() => {
-    if (Array.isArray(data?.ai_missing_information) && data.ai_missing_information.length) {
-      return data.ai_missing_information.join("; ");
-    }
-    const t = toText(data?.ai_missing_information, "");
-    return t ? t : "Not mentioned";
-  })();
-
-  const props = {
-    // Core “qualification” signal fields on CALL
-    ai_inferred_call_type: "Qualification call",
-    ai_call_type_confidence: 90,
-
-    ai_product_interest: (String(productInterest).toLowerCase()==='not mentioned'?'Unclear':productInterest),
-
-    ai_decision_criteria: _asTextOrEmpty(decisionCriteria),
-    ai_next_steps: nextSteps || "No next steps mentioned.",
-    ai_key_objections: objectionsText || "No objections",
-    ai_objections_bullets: objectionsText ? objectionsText.replace(/; /g, " - ") : "No objections",
-    ai_primary_objection: _asTextOrEmpty(primaryObjection),
-    ai_objection_categories: safeObjectionCategory, // <- clamped to allowed set
-
-    ai_data_points_captured: _asTextOrEmpty(dataPoints),
-    ai_missing_information: _asTextOrEmpty(missingInfo),
-    ai_consultation_required_materials: materials || "Nothing requested",
-
-    // NEW — CALL-level marketing/eligibility fields
-    ai_how_heard_about_tlpi: _asTextOrEmpty(toText(data?.ai_how_heard_about_tlpi, "")),
-    ai_problem_to_solve: _asTextOrEmpty(toText(data?.ai_problem_to_solve, "")),
-    ai_approx_corporation_tax_bill: parseApproxNumber(data?.ai_approx_corporation_tax_bill),
-    ai_is_company_director: director,
-    ai_qualification_likelihood_to_book_ic: likelihoodBookIC,
-    ai_qualification_likelihood_to_proceed: likelihoodProceed ?? 1,
-
-    // Coaching (short)
-    sales_performance_summary: summaryShort,
-    chat_gpt___sales_performance: toNumberOrNull(data?.chat_gpt_sales_performance),
-    chat_gpt___score_reasoning: toText(data?.chat_gpt_score_reasoning, ""),
-    chat_gpt___increase_likelihood_of_sale_suggestions: toLines(data?.chat_gpt_increase_likelihood_of_sale),
-  };
+  if (!callId || !token) { console.warn("[qual] Missing callId or HubSpot token"); return { rejected: [] }; }
+  const props = qualificationCallProps(data);
 
   try {
-    await hsFetch(url, { method: "PATCH", body: JSON.stringify({ properties: props }) });
+    const { rejected } = await writeProperties("calls", callId, props, "[qual]");
     console.log(`[qual] Qualification Call ${callId} updated.`);
+    return { rejected };
   } catch (err) {
+    if (isTransient(err)) throw err;
     console.error("[qual] HubSpot Qualification update failed:", err?.message || err);
+    return { rejected: refusedWrite(props, err) };
   }
 }
 
 // ---------- Qualification Scorecard creator ----------
+export function qualificationScorecardProps({ callId, ownerId, data }) {
+  return mappedProps("qualification", data, { callId, ownerId }, "scorecard");
+}
+
 export async function createQualificationScorecard({ callId, contactIds = [], ownerId, data }) {
   const token = HUBSPOT_TOKEN;
-  if (!token) { console.error("Missing HubSpot token"); return null; }
-
-  const url = `${HS.base}/crm/v3/objects/p49487487_sales_scorecards`;
-  const today = new Date().toISOString().slice(0, 10);
-
-  const fv = (v) => (v === 1 ? 1 : 0);
-  const weights = {
-    qual_commitment_requested: 2.0,
-    qual_relevant_pain_identified: 1.5,
-    qual_benefits_linked_to_needs: 1.5,
-    qual_open_question: 1.0,
-    qual_clear_responses_or_followup: 1.0,
-    qual_next_steps_confirmed: 1.0,
-    qual_services_explained_clearly: 0.75,
-    qual_intro: 0.5,
-    qual_rapport: 0.5,
-    qual_active_listening: 0.25,
-  };
-  const q = data?.qualification_eval || {};
-  let weighted = 0;
-  for (const [k, w] of Object.entries(weights)) weighted += fv(q?.[k]) * w;
-  const qualScore = Math.max(0, Math.min(10, Math.round(weighted * 10) / 10));
-
-  // Normalised values
-  const qualNext = toLines(data?.ai_qualification_next_steps ?? data?.ai_next_steps);
-  const qualMaterials = toLines(data?.ai_qualification_required_materials ?? data?.ai_consultation_required_materials);
-  const qualCriteria = toLines(data?.ai_qualification_decision_criteria ?? data?.ai_decision_criteria);
-  const qualObjections = toLines(data?.ai_qualification_key_objections ?? data?.ai_key_objections);
-  const qualOutcome = toText(data?.ai_qualification_outcome ?? data?.outcome ?? "Unclear");
-  const qualLikelihood = toNumberOrNull(
-    data?.ai_qualification_likelihood_to_proceed ?? data?.ai_consultation_likelihood_to_close
-  );
-
-  const props = {
-    activity_type: "Qualification call",
-    activity_name: `${callId} — Qualification call — ${today}`,
-    hubspot_owner_id: ownerId || undefined, // carry owner
-
-    // Coaching/feedback (scorecard can keep longer coaching text if model supplies it)
-    sales_scorecard___what_you_can_improve_on:
-      toText(data?.sales_scorecard_summary, "") || "What went well:\n- \n\nAreas to improve:\n- ",
-    sales_performance_rating_: toNumberOrNull(data?.chat_gpt_sales_performance),
-
-    // —— Qualification-specific fields (EXPLICIT ai_qualification_* on SCORECARD) ——
-    ai_qualification_next_steps: qualNext,
-    ai_qualification_required_materials: qualMaterials,
-    ai_qualification_decision_criteria: qualCriteria,
-    ai_qualification_key_objections: qualObjections,
-    ai_qualification_outcome: qualOutcome,
-    ai_qualification_likelihood_to_proceed: qualLikelihood,
-
-    // Ten scored behaviours
-    qual_active_listening: toNumberOrNull(q?.qual_active_listening) ?? 0,
-    qual_benefits_linked_to_needs: toNumberOrNull(q?.qual_benefits_linked_to_needs) ?? 0,
-    qual_clear_responses_or_followup: toNumberOrNull(q?.qual_clear_responses_or_followup) ?? 0,
-    qual_commitment_requested: toNumberOrNull(q?.qual_commitment_requested) ?? 0,
-    qual_intro: toNumberOrNull(q?.qual_intro) ?? 0,
-    qual_next_steps_confirmed: toNumberOrNull(q?.qual_next_steps_confirmed) ?? 0,
-    qual_open_question: toNumberOrNull(q?.qual_open_question) ?? 0,
-    qual_rapport: toNumberOrNull(q?.qual_rapport) ?? 0,
-    qual_relevant_pain_identified: toNumberOrNull(q?.qual_relevant_pain_identified) ?? 0,
-    qual_services_explained_clearly: toNumberOrNull(q?.qual_services_explained_clearly) ?? 0,
-
-    // Final weighted score (1–10)
-    qual_score_final: qualScore,
-  };
+  if (!token) { console.error("Missing HubSpot token"); return { id: null, rejected: [] }; }
+
+  const props = qualificationScorecardProps({ callId, ownerId, data });
 
-  let scorecardId = null;
   try {
-    const created = await hsFetch(url, { method: "POST", body: JSON.stringify({ properties: props }) });
-    scorecardId = created?.id || null;
-    console.log("Created Qualification Scorecard:", scorecardId);
+    const { result: created, rejected } = await writeProperties("p49487487_sales_scorecards", null, props, "[qual]");
+    console.log("Created Qualification Scorecard:", created?.id);
+    return { id: created?.id || null, rejected };
   } catch (err) {
+    if (isTransient(err)) throw err;
     console.error("Failed to create Qualification Scorecard:", err?.message || err);
-    return null;
+    return { id: null, rejected: refusedWrite(props, err) };
   }
-  return scorecardId;
 }
 
-// ---------- Initial Consultation scorecard (unchanged) ----------
-export async function createScorecard(analysis, ctx) {
-  const { callId, contactIds = [], dealIds = [], ownerId } = ctx || {};
-  const objectType = "p49487487_sales_scorecards";
+// ---------- Follow-up Call updater ----------
+export function followUpCallProps(data) {
+  return mappedProps("follow_up", data);
+}
 
-  const ce = analysis?.consult_eval || {};
-  const fv = (v) => (v === 1 ? 1 : 0);
+export async function updateFollowUpCall(callId, data) {
+  if (!callId || !HUBSPOT_TOKEN) { console.warn("[followup] Missing callId or HubSpot token"); return { rejected: [] }; }
+  const props = followUpCallProps(data);
 
-  const tenScale =
-    typeof analysis?.likelihood_to_close === "number"
-      ? Math.max(1, Math.min(10, Math.round(analysis.likelihood_to_close / 10)))
-      : 1;
+  try {
+    const { rejected } = await writeProperties("calls", callId, props, "[followup]");
+    console.log(`[followup] Follow-up Call ${callId} updated.`);
+    return { rejected };
+  } catch (err) {
+    if (isTransient(err)) throw err;
+    console.error("[followup] HubSpot Follow-up update failed:", err?.message || err);
+    return { rejected: refusedWrite(props, err) };
+  }
+}
 
-  const props = {
-    activity_type: "Initial Consultation",
-    activity_name: `${callId} — Initial Consultation — ${new Date().toISOString().slice(0, 10)}`,
-    hubspot_owner_id: ownerId || undefined,
+// ---------- Follow-up Scorecard creator ----------
+export function followUpScorecardProps({ callId, ownerId, data }) {
+  return mappedProps("follow_up", data, { callId, ownerId }, "scorecard");
+}
 
-    sales_performance_rating_: Number(analysis?.sales_performance_rating || 1),
-    sales_scorecard___what_you_can_improve_on:
-      analysis?.sales_performance_summary || "What went well:\n- \n\nAreas to improve:\n- ",
-
-    ai_next_steps: (analysis?.next_actions || []).join("; "),
-    ai_consultation_required_materials:
-      (Array.isArray(analysis?.materials_to_send) && analysis.materials_to_send.length
-        ? analysis.materials_to_send.join("; ")
-        : "Nothing requested"),
-    ai_decision_criteria: (analysis?.ai_decision_criteria || []).join("; "),
-    ai_key_objections: (analysis?.objections || []).join("; ") || "No objections",
-    ai_consultation_outcome: analysis?.outcome || "Unclear",
-    ai_consultation_likelihood_to_close: String(tenScale),
-
-    consult_closing_question_asked: fv(ce.commitment_requested),
-    consult_collected_dob_nin_when_agreed: fv(ce.specific_tax_estimate_given),
-    consult_confirm_reason_for_zoom: fv(ce.intro),
-    consult_customer_agreed_to_set_up: fv(analysis?.outcome === "Proceed now" ? 1 : ce.commitment_requested),
-    consult_demo_tax_saving: fv(ce.quantified_value_roi),
-    consult_fee_phrasing_three_seven_five: fv(ce.fees_tax_deductible_explained),
-    consult_fees_annualised: fv(ce.fees_tax_deductible_explained),
-    consult_fees_tax_deductible_explained: fv(ce.fees_tax_deductible_explained),
-    consult_interactive_throughout: fv(ce.interactive_throughout),
-    consult_needs_pain_uncovered: fv(ce.needs_pain_uncovered),
-    consult_next_contact_within_5_days: fv(ce.next_step_specific_date_time),
-    consult_next_step_specific_date_time: fv(ce.next_step_specific_date_time),
-    consult_no_assumptions_evidence_gathered: fv(ce.clear_responses_or_followup),
-    consult_overcame_objection_and_closed: fv(ce.commitment_requested),
-    consult_prospect_asked_next_steps: fv(ce.next_steps_confirmed),
-    consult_purpose_clearly_stated: fv(ce.services_explained_clearly),
-    consult_quantified_value_roi: fv(ce.quantified_value_roi),
-    consult_rapport_open: fv(ce.rapport_open),
-    consult_specific_tax_estimate_given: fv(ce.specific_tax_estimate_given),
-    consult_strong_buying_signals_detected: fv(ce.benefits_linked_to_needs),
-  };
+export async function createFollowUpScorecard({ callId, ownerId, data }) {
+  if (!HUBSPOT_TOKEN) { console.error("Missing HubSpot token"); return { id: null, rejected: [] }; }
 
-  const weights = {
-    consult_customer_agreed_to_set_up: 2,
-    consult_overcame_objection_and_closed: 1,
-    consult_next_step_specific_date_time: 0.7,
-    consult_closing_question_asked: 0.6,
-    consult_prospect_asked_next_steps: 0.4,
-    consult_strong_buying_signals_detected: 0.6,
-    consult_needs_pain_uncovered: 0.6,
-    consult_purpose_clearly_stated: 0.4,
-    consult_quantified_value_roi: 0.7,
-    consult_demo_tax_saving: 0.3,
-    consult_fees_tax_deductible_explained: 0.4,
-    consult_fees_annualised: 0.3,
-    consult_fee_phrasing_three_seven_five: 0.2,
-    consult_specific_tax_estimate_given: 0.5,
-    consult_confirm_reason_for_zoom: 0.2,
-    consult_rapport_open: 0.2,
-    consult_interactive_throughout: 0.2,
-    consult_next_contact_within_5_days: 0.3,
-    consult_no_assumptions_evidence_gathered: 0.2,
-    consult_collected_dob_nin_when_agreed: 0.2,
+  const props = followUpScorecardProps({ callId, ownerId, data });
+
+  try {
+    const { result: created, rejected } = await writeProperties("p49487487_sales_scorecards", null, props, "[followup]");
+    console.log("Created Follow-up Scorecard:", created?.id);
+    return { id: created?.id || null, rejected };
+  } catch (err) {
+    if (isTransient(err)) throw err;
+    console.error("Failed to create Follow-up Scorecard:", err?.message || err);
+    return { id: null, rejected: refusedWrite(props, err) };
+  }
+}
+
+// ---------- Application meeting updater (no scorecard) ----------
+export function applicationCallProps(data) {
+  return mappedProps("application", data);
+}
+
+export async function updateApplicationCall(callId, data) {
+  if (!callId || !HUBSPOT_TOKEN) { console.warn("[application] Missing callId or HubSpot token"); return { rejected: [] }; }
+  const props = applicationCallProps(data);
+
+  try {
+    const { rejected } = await writeProperties("calls", callId, props, "[application]");
+    console.log(`[application] Application meeting ${callId} updated.`);
+    return { rejected };
+  } catch (err) {
+    if (isTransient(err)) throw err;
+    console.error("[application] HubSpot Application update failed:", err?.message || err);
+    return { rejected: refusedWrite(props, err) };
+  }
+}
+
+// ---------- Timeline notes ----------
+// Creates the note, or updates noteId when given (reprocessing). Falls back to creating a
+// new note only if the old one is gone (404 / 410); any other update failure throws so the
+// written stage is retried rather than posting a second note. Returns the note id or null.
+export async function upsertNote({ noteId, body, ownerId, attachmentIds = [], timestamp = Date.now() }) {
+  if (!HUBSPOT_TOKEN) { console.warn("[note] Missing HubSpot token"); return null; }
+  const properties = {
+    hs_note_body: body,
+    hs_attachment_ids: attachmentIds.join(";"),
+    ...(ownerId ? { hubspot_owner_id: String(ownerId) } : {}),
   };
-  let weighted = 0;
-  for (const [k, w] of Object.entries(weights)) weighted += (Number(props[k]) || 0) * w;
-  props["consult_score_final"] = Math.max(1, Math.min(10, Math.round(weighted * 10) / 10));
+  if (noteId) {
+    try {
+      await hsFetch(`${HS.base}/crm/v3/objects/notes/${noteId}`, { method: "PATCH", body: JSON.stringify({ properties }) });
+      console.log("[note] updated id:", noteId);
+      return String(noteId);
+    } catch (err) {
+      if (!isGone(err)) throw err;
+      console.warn(`[note] ${noteId} is gone, creating a new note:`, err.message);
+    }
+  }
+  try {
+    const created = await hsFetch(`${HS.base}/crm/v3/objects/notes`, {
+      method: "POST",
+      body: JSON.stringify({ properties: { ...properties, hs_timestamp: new Date(timestamp).toISOString() } }),
+    });
+    console.log("[note] created id:", created?.id);
+    return created?.id ? String(created.id) : null;
+  } catch (err) {
+    console.error("[note] create failed:", err.message);
+    return null;
+  }
+}
+
+// Default (unlabelled) associations; re-running is harmless
+export async function associateNote(noteId, { callId, contactIds = [], dealIds = [] }) {
+  const targets = [
+    ...(callId ? [["calls", callId]] : []),
+    ...contactIds.map(id => ["contacts", id]),
+    ...dealIds.map(id => ["deals", id]),
+  ];
+  for (const [toType, toId] of targets) {
+    const url = `${HS.base}/crm/v4/objects/notes/${noteId}/associations/default/${toType}/${toId}`;
+    try { await hsFetch(url, { method: "PUT" }); }
+    catch (err) {
+      console.warn(`[note] default association notes:${noteId} -> ${toType}:${toId} failed, trying discovered types:`, err.message);
+      await associateSmart("notes", noteId, toType, toId);
+    }
+  }
+}
 
-  const createUrl = `${HS.base}/crm/v3/objects/${objectType}`;
-  let scorecardId = null;
+// Private file in the File Manager; returns { id, url } or null
+export async function uploadFile({ name, content, contentType = "text/plain", folderPath = "/ai-call-worker" }) {
+  if (!HUBSPOT_TOKEN) return null;
+  const form = new FormData();
+  form.append("file", Buffer.from(String(content)), { filename: name, contentType });
+  form.append("folderPath", folderPath);
+  form.append("options", JSON.stringify({ access: "PRIVATE", overwrite: false }));
   try {
-    const created = await hsFetch(createUrl, {
+    const res = await fetch(`${HS.base}/files/v3/files`, {
       method: "POST",
-      body: JSON.stringify({ properties: props }),
+      headers: { ...form.getHeaders(), Authorization: `Bearer ${HUBSPOT_TOKEN}` },
+      body: form,
     });
-    scorecardId = created?.id;
-    console.log("[scorecard] created id:", scorecardId);
-  } catch (e) {
-    console.warn("[HubSpot] create scorecard failed:", e.message);
+    if (!res.ok) throw new Error(`${res.status} ${await res.text().catch(() => "")}`);
+    const data = await res.json();
+    console.log("[files] uploaded", name, "id:", data?.id);
+    return data?.id ? { id: String(data.id), url: data.url || null } : null;
+  } catch (err) {
+    console.error("[files] upload failed:", err.message);
     return null;
   }
-  if (!scorecardId) return null;
-  return scorecardId;
 }
 
+export async function archiveFile(fileId) {
+  if (!fileId || !HUBSPOT_TOKEN) return;
+  try { await hsFetch(`${HS.base}/files/v3/files/${fileId}`, { method: "DELETE" }); }
+  catch (err) { console.warn("[files] archive failed:", err.message); }
+}
 
+// ---------- Scorecard update (reprocessing) ----------
+// Returns { id, rejected }, or { id: null, gone: true } when the scorecard was deleted in
+// HubSpot (404 / 410) so the caller creates a new one. Any other failure throws.
+export async function updateScorecard(scorecardId, props) {
+  if (!scorecardId || !HUBSPOT_TOKEN) return { id: null, rejected: [] };
+  const { activity_name, ...properties } = props || {}; // keep the original name/date
+  try {
+    const { rejected } = await writeProperties("p49487487_sales_scorecards", scorecardId, properties, "[scorecard]");
+    console.log("[scorecard] updated id:", scorecardId);
+    return { id: scorecardId, rejected };
+  } catch (err) {
+    if (!isGone(err)) throw err;
+    console.warn(`[scorecard] ${scorecardId} is gone, creating a new scorecard:`, err.message);
+    return { id: null, gone: true, rejected: [] };
+  }
+}
 
+// ---------- Initial Consultation scorecard ----------
+export function consultationScorecardProps(analysis, { callId, ownerId } = {}) {
+  return mappedProps("initial_consultation", analysis, { callId, ownerId }, "scorecard");
+}
 
+export async function createScorecard(analysis, ctx) {
+  const { callId, ownerId } = ctx || {};
+  const objectType = "p49487487_sales_scorecards";
+  const props = consultationScorecardProps(analysis, { callId, ownerId });
+
+  try {
+    const { result: created, rejected } = await writeProperties(objectType, null, props, "[scorecard]");
+    console.log("[scorecard] created id:", created?.id);
+    return { id: created?.id || null, rejected };
+  } catch (e) {
+    if (isTransient(e)) throw e;
+    console.warn("[HubSpot] create scorecard failed:", e.message);
+    return { id: null, rejected: refusedWrite(props, e) };
+  }
+}
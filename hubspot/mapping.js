@@ -0,0 +1,183 @@
+// hubspot/mapping.js
+// Turns an analysis into HubSpot properties from the declarative field lists in
+// config/mappings.js. Each field:
+//   { object, property, from, transform, fallback, value }
+//   object     "call" | "scorecard"
+//   from       path into the analysis ("consult_eval.intro"), a list of paths (first
+//              non-empty wins), "." for the whole analysis, or "@callId" / "@ownerId" /
+//              "@today" for the write context
+//   transform  a step or list of steps, each "name" or { name: options } (see TRANSFORMS)
+//   fallback   written when the result is empty (null, "", [], NaN); without one the
+//              property is left out of the write
+//   value      a constant instead of from/transform
+// Pure: no HubSpot calls, so eval/run.js and GET /mappings can render the output.
+import { scoreAnalysis, getRubric } from "../ai/scoring.js";
+
+const isEmpty = (v) => v == null || v === "" || (Array.isArray(v) && !v.length) || (typeof v === "number" && !Number.isFinite(v));
+
+const toText = (v) => {
+  if (v == null) return "";
+  if (Array.isArray(v)) return v.map(toText).filter(Boolean).join("; ");
+  if (typeof v === "object") return String(v.text ?? v.content ?? v.value ?? JSON.stringify(v));
+  return String(v).trim();
+};
+
+// Text or list -> list of trimmed items; "Not mentioned" / "None" count as nothing
+const NOTHING = /^(not mentioned|none|n\/a|no objections?|nothing (outstanding|requested))\.?$/i;
+const toItems = (v) => {
+  const items = Array.isArray(v) ? v.map(toText) : toText(v).split(/\r?\n|;\s*/);
+  return items.map(s => s.replace(/^[-•\s]+/, "").trim()).filter(s => s && !NOTHING.test(s));
+};
+
+const toNumber = (v) => {
+  if (v == null || v === "" || typeof v === "boolean") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+};
+
+// Map objection text to ONE of Price | Timing | Risk | Complexity | Authority | Clarity
+function objectionCategory(text) {
+  const s = String(text || "").toLowerCase();
+  if (/(price|fee|cost|expens|cheaper|quote)/i.test(s)) return "Price";
+  if (/(time|timing|delay|later|not.*good.*time|busy|next month)/i.test(s)) return "Timing";
+  if (/(complex|confus|complicated|too much effort)/i.test(s)) return "Complexity";
+  if (/(risk|trust|security|safe|regulated|scam|reputation)/i.test(s)) return "Risk";
+  if (/(partner|accountant|director|board|co[- ]?director|wife|husband|spouse|need.*approval|sign.?off|decision[- ]?maker)/i.test(s)) return "Authority";
+  return "Clarity";
+}
+
+// "30k", "£45,000", "0.3m" -> number
+function approxNumber(v) {
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  const s = toText(v).toLowerCase().replace(/[,\s£]/g, "");
+  if (!s) return null;
+  const m = s.match(/^(\d+(?:\.\d+)?)(k|m|million)?$/);
+  if (m) return Math.round(Number(m[1]) * (m[2] === "k" ? 1_000 : m[2] ? 1_000_000 : 1));
+  const n = Number(s.replace(/[^0-9.]/g, ""));
+  return s.replace(/[^0-9.]/g, "") && Number.isFinite(n) ? n : null;
+}
+
+function getPath(obj, p) {
+  return String(p).split(".").reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+// The analysis' own rubric_score when it is for this rubric and version, else scored now;
+// scores caches the result for the rest of the buildProps call
+function rubricScore(rubric, analysis, scores) {
+  if (!scores.has(rubric)) {
+    const stored = analysis.rubric_score;
+    const current = stored?.rubric === rubric && stored.version === getRubric(rubric).version;
+    scores.set(rubric, current ? stored : scoreAnalysis(rubric, analysis));
+  }
+  return scores.get(rubric);
+}
+
+function resolve(from, analysis, ctx) {
+  if (from == null || from === ".") return analysis;
+  for (const p of [].concat(from)) {
+    const v = p.startsWith("@") ? ctx[p.slice(1)] : getPath(analysis, p);
+    if (!isEmpty(v)) return v;
+  }
+  return null;
+}
+
+// name -> (value, options, { analysis, ctx, props, scores }) -> value
+export const TRANSFORMS = {
+  text: (v) => toText(v) || null,
+  string: (v) => (isEmpty(v) ? null : String(v)),
+  number: (v) => toNumber(v),
+  boolean: (v) => (typeof v === "boolean" ? String(v) : null),
+  approxNumber: (v) => approxNumber(v),
+  // list (or "a; b" text) -> "a<sep>b"
+  join: (v, sep = "; ") => toItems(v).join(sep) || null,
+  // allowed values; anything else is empty (-> fallback)
+  enum: (v, values = []) => {
+    const s = toText(v);
+    return values.find(x => x.toLowerCase() === s.toLowerCase()) || null;
+  },
+  // 0–100 -> 1–10 etc.
+  scale: (v, { from = 100, to = 10, min = -Infinity, max = Infinity } = {}) => {
+    const n = toNumber(v);
+    return n == null ? null : Math.max(min, Math.min(max, Math.round((n / from) * to)));
+  },
+  clamp: (v, { min = -Infinity, max = Infinity } = {}) => {
+    const n = toNumber(v);
+    return n == null ? null : Math.max(min, Math.min(max, n));
+  },
+  first: (v) => toItems(v)[0] || null,
+  bullets: (v, { max = 4, prefix = "- " } = {}) => {
+    const items = toItems(v).slice(0, max);
+    return items.length ? items.map(s => prefix + s).join("\n") : null;
+  },
+  objectionCategory: (v) => objectionCategory(toItems(v).join("; ")),
+  // ["SSAS", "FIC"] -> "Both"
+  products: (v) => {
+    const list = [...new Set(toItems(v))];
+    return list.length > 1 ? "Both" : list[0] || null;
+  },
+  // {callId} / {ownerId} / {today} from the write context
+  template: (_v, template, { ctx }) => String(template).replace(/\{(\w+)\}/g, (_, k) => ctx[k] ?? ""),
+  // Model-provided coaching bullets, else one per coaching flag that is not 1 (topped up
+  // with the passed ones when fewer than max need work), short and without full stops.
+  // from: "." (whole analysis); without scores/messages only the provided bullets are used
+  coachingBullets: (analysis, { provided, scores, messages = {}, max = 4 }) => {
+    const short = (items) => TRANSFORMS.bullets(items.map(s => s.replace(/\.$/, "")), { max });
+    const given = toItems(getPath(analysis, provided));
+    if (given.length) return short(given);
+    const s = (scores && getPath(analysis, scores)) || {};
+    const entries = Object.entries(messages);
+    const improve = entries.filter(([k]) => s[k] !== 1).map(([, m]) => m);
+    const passed = entries.filter(([k]) => s[k] === 1).map(([, m]) => m.replace("more ", ""));
+    return short(improve.length >= max ? improve : [...improve, ...passed]);
+  },
+  // A number from the rubric score (ai/scoring.js): field "score" | "earned" | "criteria.<key>"
+  score: (_v, { rubric, field = "score" }, { analysis, scores }) => getPath(rubricScore(rubric, analysis, scores), field) ?? null,
+};
+
+function steps(transform) {
+  return [].concat(transform ?? []).map(step => (typeof step === "string" ? [step, undefined] : Object.entries(step)[0]));
+}
+
+/**
+ * buildProps(fields, analysis, ctx, object) -> { property: value }
+ * ctx: { callId, ownerId, today } (today defaults to the current date, YYYY-MM-DD)
+ * object: "call" | "scorecard" — other objects' fields are skipped
+ */
+export function buildProps(fields, analysis = {}, ctx = {}, object = "call") {
+  const context = { today: new Date().toISOString().slice(0, 10), ...ctx };
+  const props = {};
+  const scores = new Map(); // rubric name -> scoreAnalysis() result
+  for (const field of fields) {
+    if ((field.object || "call") !== object) continue;
+    let v = "value" in field ? field.value : resolve(field.from, analysis || {}, context);
+    for (const [name, options] of steps(field.transform)) {
+      const fn = TRANSFORMS[name];
+      if (!fn) throw new Error(`Unknown mapping transform "${name}" (${field.property})`);
+      v = fn(v, options, { analysis: analysis || {}, ctx: context, props, scores });
+    }
+    if (isEmpty(v)) v = field.fallback;
+    if (v !== undefined) props[field.property] = v;
+  }
+  return props;
+}
+
+function describeStep([name, options]) {
+  if (options === undefined) return name;
+  if (typeof options === "string") return `${name}(${JSON.stringify(options)})`;
+  if (Array.isArray(options)) return `${name}(${options.join(" | ")})`;
+  return `${name}(${Object.entries(options).map(([k, o]) => `${k}: ${typeof o === "object" ? JSON.stringify(o) : o}`).join(", ")})`;
+}
+
+/**
+ * describeMapping(fields) -> [{ object, property, from, transform, fallback }]
+ * Human-readable rows for GET /mappings.
+ */
+export function describeMapping(fields) {
+  return fields.map(f => ({
+    object: f.object || "call",
+    property: f.property,
+    from: "value" in f ? `= ${JSON.stringify(f.value)}` : [].concat(f.from ?? ".").join(" ?? "),
+    transform: steps(f.transform).map(describeStep).join(" → ") || null,
+    fallback: f.fallback === undefined ? "(omitted)" : f.fallback,
+  }));
+}
@@ -0,0 +1,126 @@
+// hubspot/properties.js
+// Checks property values against HubSpot property definitions (GET /crm/v3/properties/{type})
+// before a write, one property at a time, so one bad value no longer loses the whole PATCH.
+// Pure: hubspot/hubspot.js fetches and caches the definitions.
+//
+//   unknown / read-only property      rejected
+//   enumeration / bool                matched to an option value (case-insensitive, value or label);
+//                                     checkbox (multi) values keep the options that match
+//   number                            numeric strings ("£12,500") coerced, anything else rejected
+//   string                            truncated to HubSpot's 65,536 characters
+
+export const MAX_TEXT = 65536;
+
+const norm = (s) => String(s).trim().toLowerCase();
+
+const fmt = (v) => {
+  if (typeof v !== "string") return String(JSON.stringify(v) ?? v).slice(0, 60);
+  return JSON.stringify(v.length > 60 ? `${v.slice(0, 57)}...` : v);
+};
+
+function optionMatcher(options) {
+  const exact = new Map(options.map(o => [String(o.value), String(o.value)]));
+  const loose = new Map();
+  for (const o of options) {
+    for (const key of [o.value, o.label]) if (key != null && !loose.has(norm(key))) loose.set(norm(key), String(o.value));
+  }
+  return (v) => exact.get(String(v).trim()) ?? loose.get(norm(v)) ?? null;
+}
+
+const listOptions = (options) => {
+  const values = options.filter(o => !o.hidden).map(o => o.value);
+  return values.length > 8 ? `${values.slice(0, 8).join(", ")}, ...` : values.join(", ");
+};
+
+// -> { value, note? } | { error }
+function checkValue(def, value, maxText) {
+  const type = def.type;
+
+  if (type === "enumeration" || type === "bool") {
+    const options = def.options || [];
+    if (!options.length) return { value }; // owner / dynamic option lists are not published
+    const match = optionMatcher(options);
+
+    if (def.fieldType === "checkbox") {
+      const items = (Array.isArray(value) ? value : String(value).split(";")).map(x => String(x).trim()).filter(Boolean);
+      const kept = [...new Set(items.map(match).filter(Boolean))];
+      const dropped = items.filter(x => !match(x));
+      if (!kept.length) return { error: `not an option: ${listOptions(options)}` };
+      const out = kept.join(";");
+      if (dropped.length) return { value: out, note: `dropped unknown option(s) ${dropped.map(fmt).join(", ")}` };
+      return out === String(value) ? { value } : { value: out, note: `matched to ${fmt(out)}` };
+    }
+
+    const v = typeof value === "boolean" && type !== "bool" ? (value ? "Yes" : "No") : value;
+    const out = match(v) ?? (type === "bool" ? match({ yes: "true", no: "false" }[norm(v)] ?? "") : null);
+    if (out == null) return { error: `not an option: ${listOptions(options)}` };
+    return out === String(value) ? { value } : { value: out, note: `matched to ${fmt(out)}` };
+  }
+
+  if (type === "number") {
+    if (typeof value === "number") return Number.isFinite(value) ? { value } : { error: "not a number" };
+    if (/^\s*-?\d+(\.\d+)?\s*$/.test(value)) return { value };
+    const n = Number(String(value).replace(/[£$€,\s]/g, ""));
+    if (!String(value).trim() || !Number.isFinite(n)) return { error: "not a number" };
+    return { value: n, note: `coerced to ${n}` };
+  }
+
+  if (type === "string") {
+    const s = typeof value === "string" ? value : String(value);
+    if (s.length <= maxText) return { value: s };
+    return { value: `${s.slice(0, maxText - 1)}…`, note: `truncated from ${s.length} to ${maxText} characters` };
+  }
+
+  return { value }; // date / datetime / phone_number: left to HubSpot
+}
+
+/**
+ * checkProperties(props, definitions, { maxText }) -> {
+ *   properties: { name: value }                     safe to send
+ *   rejected:   [{ name, value, reason }]           left out of the write
+ *   coerced:    [{ name, from, to, reason }]        sent with a corrected value
+ * }
+ * definitions: Map name -> HubSpot property definition. null / "" (clearing) always pass;
+ * undefined is left out, as JSON.stringify would.
+ */
+export function checkProperties(props, definitions, { maxText = MAX_TEXT } = {}) {
+  const properties = {};
+  const rejected = [];
+  const coerced = [];
+  for (const [name, value] of Object.entries(props || {})) {
+    if (value === undefined) continue;
+    const def = definitions.get(name);
+    if (!def) { rejected.push({ name, value, reason: "unknown property" }); continue; }
+    if (def.modificationMetadata?.readOnlyValue || def.calculated) { rejected.push({ name, value, reason: "read-only property" }); continue; }
+    if (value === null || value === "") { properties[name] = value; continue; }
+
+    const r = checkValue(def, value, maxText);
+    if (r.error) { rejected.push({ name, value, reason: r.error }); continue; }
+    properties[name] = r.value;
+    if (r.note) coerced.push({ name, from: value, to: r.value, reason: r.note });
+  }
+  return { properties, rejected, coerced };
+}
+
+/**
+ * rejectedByHubSpot(body) -> [{ name, reason }] — the properties a 400 "Property values were
+ * not valid" response names (PROPERTY_DOESNT_EXIST, INVALID_OPTION, ...); [] for any other error.
+ */
+export function rejectedByHubSpot(body) {
+  let message = String(body || "");
+  try { message = JSON.parse(message).message || message; } catch {}
+  if (!/Property values were not valid/i.test(message)) return [];
+  const at = message.indexOf("[");
+  try {
+    return JSON.parse(message.slice(at))
+      .filter(e => e && e.isValid === false && e.name)
+      .map(e => ({ name: e.name, reason: e.error || e.message || "rejected by HubSpot" }));
+  } catch {
+    return [...new Set([...message.matchAll(/"name"\s*:\s*"([^"]+)"/g)].map(m => m[1]))]
+      .map(name => ({ name, reason: "rejected by HubSpot" }));
+  }
+}
+
+// [{ name, value, reason }] -> 'ai_objection_severity="Severe" (not an option: Low, Medium, High); ...'
+export const describeRejected = (rejected) =>
+  rejected.map(r => `${r.name}${r.value !== undefined ? `=${fmt(r.value)}` : ""} (${r.reason})`).join("; ");
@@ -0,0 +1,205 @@
+// hubspot/schema.js
+// Property groups / properties / enum options: read what a portal (or a CSV property export)
+// has, diff it against config/hubspotSchema.js and apply the difference.
+// Only additive changes are applied: missing groups, missing properties and missing enum
+// options. Type changes, label/group drift and extra portal properties are reported, never
+// changed — HubSpot keeps historical values against them.
+import fs from "fs";
+import fetch from "node-fetch";
+import dotenv from "dotenv";
+dotenv.config();
+
+const HUBSPOT_TOKEN =
+  process.env.HUBSPOT_PRIVATE_APP_TOKEN ||
+  process.env.HUBSPOT_TOKEN ||
+  process.env.HUBSPOT_ACCESS_TOKEN;
+
+const BASE = "https://api.hubapi.com";
+
+async function hsRequest(method, path, body) {
+  if (!HUBSPOT_TOKEN) throw new Error("HubSpot token missing: set HUBSPOT_PRIVATE_APP_TOKEN (or HUBSPOT_TOKEN)");
+  const res = await fetch(`${BASE}${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${HUBSPOT_TOKEN}`, "Content-Type": "application/json" },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const text = await res.text().catch(() => "");
+  if (!res.ok) throw Object.assign(new Error(`${method} ${path} -> ${res.status} ${text}`), { status: res.status, body: text });
+  try { return JSON.parse(text); } catch { return {}; }
+}
+
+const exists = (err) => err.status === 409 || /already exists|PROPERTY_ALREADY_EXISTS/i.test(err.body || "");
+
+const byName = (list) => new Map(list.map(x => [x.name, x]));
+
+// ---------- current state ----------
+// { source, groups: Map | null, properties: Map, optionsKnown } — groups null = unknown
+
+// Property definitions by name; also used by hubspot/hubspot.js to check writes
+export async function readPortalProperties(objectType) {
+  const data = await hsRequest("GET", `/crm/v3/properties/${encodeURIComponent(objectType)}`);
+  return byName(data.results || []);
+}
+
+export async function readPortalSchema(objectType) {
+  const [groups, properties] = await Promise.all([
+    hsRequest("GET", `/crm/v3/properties/${encodeURIComponent(objectType)}/groups`),
+    readPortalProperties(objectType),
+  ]);
+  return {
+    source: "portal",
+    groups: byName(groups.results || []),
+    properties,
+    optionsKnown: true,
+  };
+}
+
+// RFC 4180-ish: quoted fields, "" escapes, BOM
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  const s = String(text).replace(/^\uFEFF/, "");
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch === '"' && s[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && s[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      if (row.some(Boolean)) rows.push(row);
+      row = [];
+    } else field += ch;
+  }
+  row.push(field);
+  if (row.some(Boolean)) rows.push(row);
+  return rows;
+}
+
+/**
+ * readCsvSchema(file) — a HubSpot property export (name, label, type, fieldType[, groupName][, options]).
+ * options are "Label=value; Label=value". Without an options column option diffs are skipped;
+ * without groupName the groups are unknown.
+ */
+export function readCsvSchema(file) {
+  const [header = [], ...rows] = parseCsv(fs.readFileSync(file, "utf8"));
+  const col = Object.fromEntries(header.map((h, i) => [h.trim(), i]));
+  const properties = rows.map(r => {
+    const p = { name: r[col.name], label: r[col.label], type: r[col.type], fieldType: r[col.fieldType] };
+    if (col.groupName != null) p.groupName = r[col.groupName];
+    if (col.options != null) {
+      p.options = String(r[col.options] || "").split(/;\s*/).filter(Boolean).map(o => {
+        const at = o.lastIndexOf("=");
+        return at < 0 ? { label: o, value: o } : { label: o.slice(0, at), value: o.slice(at + 1) };
+      });
+    }
+    return p;
+  });
+  return {
+    source: `csv:${file}`,
+    groups: col.groupName != null
+      ? byName([...new Set(properties.map(p => p.groupName).filter(Boolean))].map(name => ({ name })))
+      : null,
+    properties: byName(properties),
+    optionsKnown: col.options != null,
+  };
+}
+
+// ---------- plan ----------
+
+/**
+ * planObject(spec, current) -> {
+ *   objectType, source,
+ *   createGroups:     [group]
+ *   createProperties: [property]
+ *   addOptions:       [{ name, add: [option], options: [merged options] }]
+ *   conflicts:        [{ name, field, want, have }]   type / fieldType differ (not applied)
+ *   drift:            [{ name, field, want, have }]   label / group differ (not applied)
+ *   notes:            [string]
+ * }
+ */
+export function planObject(spec, current) {
+  const plan = {
+    objectType: spec.objectType, source: current.source,
+    createGroups: [], createProperties: [], addOptions: [], conflicts: [], drift: [], notes: [],
+  };
+
+  if (current.groups) {
+    plan.createGroups = spec.groups.filter(g => !current.groups.has(g.name));
+  } else if (spec.groups.length) {
+    plan.notes.push("groups not checked (the export has no groupName column)");
+  }
+
+  for (const want of spec.properties) {
+    const have = current.properties.get(want.name);
+    if (!have && want.hubspotDefined) { plan.conflicts.push({ name: want.name, field: "missing", want: "HubSpot-defined property", have: "none" }); continue; }
+    if (!have) { plan.createProperties.push(want); continue; }
+    if (want.hubspotDefined) {
+      for (const field of ["type", "fieldType"]) {
+        if (have[field] && have[field] !== want[field]) plan.conflicts.push({ name: want.name, field, want: want[field], have: have[field] });
+      }
+      continue;
+    }
+
+    for (const field of ["type", "fieldType"]) {
+      if (have[field] && have[field] !== want[field]) plan.conflicts.push({ name: want.name, field, want: want[field], have: have[field] });
+    }
+    if (have.label && have.label !== want.label) plan.drift.push({ name: want.name, field: "label", want: want.label, have: have.label });
+    if (have.groupName && have.groupName !== want.groupName) plan.drift.push({ name: want.name, field: "groupName", want: want.groupName, have: have.groupName });
+
+    if (want.type !== "enumeration" || have.type !== "enumeration") continue;
+    if (!current.optionsKnown) continue;
+    const values = new Set((have.options || []).map(o => o.value));
+    const add = (want.options || []).filter(o => !values.has(o.value));
+    if (add.length) {
+      const kept = (have.options || []).map((o, i) => ({ label: o.label, value: o.value, displayOrder: o.displayOrder ?? i, hidden: !!o.hidden }));
+      const options = [...kept, ...add.map((o, i) => ({ ...o, displayOrder: kept.length + i, hidden: false }))];
+      plan.addOptions.push({ name: want.name, add, options });
+    }
+  }
+  if (!current.optionsKnown) plan.notes.push("enum options not checked (the export has no options column)");
+  return plan;
+}
+
+export const planChanges = (plan) => plan.createGroups.length + plan.createProperties.length + plan.addOptions.length;
+
+// ---------- apply ----------
+const clean = (o) => Object.fromEntries(Object.entries(o).filter(([, v]) => v !== undefined));
+
+/**
+ * applyPlan(plan, { dryRun, log }) -> { applied, skipped, failed: [{ what, error }] }
+ * Idempotent: "already exists" counts as done. dryRun logs the requests instead of sending them.
+ */
+export async function applyPlan(plan, { dryRun = false, log = console.log } = {}) {
+  const type = encodeURIComponent(plan.objectType);
+  const result = { applied: 0, skipped: 0, failed: [] };
+  const send = async (what, method, path, body) => {
+    if (dryRun) { log(`  [dry-run] ${method} ${path} ${JSON.stringify(body)}`); result.applied++; return; }
+    try {
+      await hsRequest(method, path, body);
+      log(`  ✔ ${what}`);
+      result.applied++;
+    } catch (err) {
+      if (exists(err)) { log(`  • ${what}: already exists`); result.skipped++; return; }
+      log(`  ✖ ${what}: ${err.message}`);
+      result.failed.push({ what, error: err.message });
+    }
+  };
+
+  for (const g of plan.createGroups) {
+    await send(`group ${g.name}`, "POST", `/crm/v3/properties/${type}/groups`, clean({ name: g.name, label: g.label }));
+  }
+
+  // One at a time: a batch fails as a whole on the first bad or existing property
+  for (const p of plan.createProperties) {
+    await send(`property ${p.name}`, "POST", `/crm/v3/properties/${type}`, clean(p));
+  }
+
+  for (const { name, add, options } of plan.addOptions) {
+    await send(`options ${name} (+ ${add.map(o => o.value).join(", ")})`, "PATCH", `/crm/v3/properties/${type}/${encodeURIComponent(name)}`, { options });
+  }
+  return result;
+}
@@ -0,0 +1,94 @@
+// hubspot/webhookAuth.js
+// Verifies that webhook requests really come from our HubSpot portal before we queue work.
+//
+// Accepted proofs (either is enough):
+//   - X-HubSpot-Signature-v3: base64(HMAC-SHA256(HUBSPOT_CLIENT_SECRET, method + uri + rawBody + timestamp))
+//     with X-HubSpot-Request-Timestamp no older than HUBSPOT_SIGNATURE_MAX_AGE_MS (default 5 min)
+//   - X-Webhook-Secret header equal to WEBHOOK_SHARED_SECRET (custom workflow actions)
+//
+// If neither secret is configured the webhooks are closed (503), like the admin endpoints.
+// HUBSPOT_WEBHOOK_AUTH=off lets unverified requests through (local testing only).
+
+import crypto from "crypto";
+import dotenv from "dotenv";
+dotenv.config();
+
+const CLIENT_SECRET = process.env.HUBSPOT_CLIENT_SECRET || process.env.HUBSPOT_APP_SECRET || "";
+const SHARED_SECRET = process.env.WEBHOOK_SHARED_SECRET || "";
+const AUTH_OFF = String(process.env.HUBSPOT_WEBHOOK_AUTH || "").toLowerCase() === "off";
+const MAX_AGE_MS = Number(process.env.HUBSPOT_SIGNATURE_MAX_AGE_MS) || 5 * 60_000;
+// Public origin HubSpot calls (e.g. https://worker.example.com) when a proxy rewrites Host
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+
+// HubSpot signs the URI with these characters decoded
+const URI_DECODE = {
+  "%3A": ":", "%2F": "/", "%3F": "?", "%40": "@", "%21": "!", "%24": "$",
+  "%27": "'", "%28": "(", "%29": ")", "%2A": "*", "%2C": ",", "%3B": ";",
+};
+
+// Constant-time string comparison (also used by admin/auth.js)
+export function safeEqual(a, b) {
+  const ba = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+function requestUri(req) {
+  const base = PUBLIC_BASE_URL || `${(req.headers["x-forwarded-proto"] || req.protocol || "https").split(",")[0].trim()}://${req.headers["x-forwarded-host"] || req.headers.host}`;
+  const raw = `${base}${req.originalUrl}`;
+  return raw.replace(/%(3A|2F|3F|40|21|24|27|28|29|2A|2C|3B)/gi, (m) => URI_DECODE[m.toUpperCase()]);
+}
+
+export function verifyHubSpotSignatureV3(req, secret = CLIENT_SECRET) {
+  const signature = req.get("x-hubspot-signature-v3");
+  const timestamp = req.get("x-hubspot-request-timestamp");
+  if (!secret) return { ok: false, reason: "HUBSPOT_CLIENT_SECRET not configured" };
+  if (!signature || !timestamp) return { ok: false, reason: "missing v3 signature headers" };
+
+  const ts = Number(timestamp);
+  if (!Number.isFinite(ts) || Math.abs(Date.now() - ts) > MAX_AGE_MS) {
+    return { ok: false, reason: "stale or invalid timestamp" };
+  }
+
+  const body = req.rawBody ? req.rawBody.toString("utf8") : "";
+  const source = `${req.method}${requestUri(req)}${body}${timestamp}`;
+  const expected = crypto.createHmac("sha256", secret).update(source, "utf8").digest("base64");
+  return safeEqual(expected, signature) ? { ok: true } : { ok: false, reason: "signature mismatch" };
+}
+
+export function verifySharedSecret(req, secret = SHARED_SECRET) {
+  const provided = req.get("x-webhook-secret");
+  if (!secret) return { ok: false, reason: "WEBHOOK_SHARED_SECRET not configured" };
+  if (!provided) return { ok: false, reason: "missing X-Webhook-Secret" };
+  return safeEqual(provided, secret) ? { ok: true } : { ok: false, reason: "shared secret mismatch" };
+}
+
+// Keep the exact request bytes for signature checks: pass as bodyParser.json({ verify })
+export function captureRawBody(req, _res, buf) {
+  req.rawBody = buf;
+}
+
+let warnedOpen = false;
+
+// Express middleware for HubSpot-originated webhooks
+export function requireHubSpotAuth(req, res, next) {
+  if (AUTH_OFF) {
+    if (!warnedOpen) {
+      console.warn("[auth] HUBSPOT_WEBHOOK_AUTH=off — webhook requests are NOT verified.");
+      warnedOpen = true;
+    }
+    return next();
+  }
+  if (!CLIENT_SECRET && !SHARED_SECRET) {
+    return res.status(503).json({ ok: false, error: "Webhooks disabled: set HUBSPOT_CLIENT_SECRET or WEBHOOK_SHARED_SECRET" });
+  }
+
+  const v3 = CLIENT_SECRET ? verifyHubSpotSignatureV3(req) : null;
+  if (v3?.ok) return next();
+  const shared = SHARED_SECRET ? verifySharedSecret(req) : null;
+  if (shared?.ok) return next();
+
+  const reasons = [v3?.reason, shared?.reason].filter(Boolean).join("; ");
+  console.warn(`[auth] Rejected ${req.method} ${req.originalUrl} from ${req.ip}: ${reasons}`);
+  return res.status(401).json({ ok: false, error: "Unauthorized webhook" });
+}
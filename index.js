@@ -3,93 +3,31 @@ import express from "express";
 import bodyParser from "body-parser";
 import dotenv from "dotenv";
 
-let _zoomTokenCache = { token: null, expiresAt: 0 };
-
-function _basicAuthHeader(user, pass) {
-  const raw = `${user}:${pass}`;
-  return "Basic " + Buffer.from(raw).toString("base64");
-}
-
-async function getZoomAccessToken() {
-  const accountId = process.env.ZOOM_ACCOUNT_ID;
-  const clientId = process.env.ZOOM_CLIENT_ID;
-  const clientSecret = process.env.ZOOM_CLIENT_SECRET;
-
-  if (!accountId || !clientId || !clientSecret) {
-    throw new Error("Missing Zoom env vars: ZOOM_ACCOUNT_ID / ZOOM_CLIENT_ID / ZOOM_CLIENT_SECRET");
-  }
-
-  const now = Date.now();
-  if (_zoomTokenCache.token && now < _zoomTokenCache.expiresAt) {
-    return _zoomTokenCache.token;
-  }
-
-  const tokenUrl = `https://zoom.us/oauth/token?grant_type=account_credentials&account_id=${encodeURIComponent(accountId)}`;
-
-  const res = await fetch(tokenUrl, {
-    method: "POST",
-    headers: {
-      Authorization: _basicAuthHeader(clientId, clientSecret),
-    },
-  });
-
-  if (!res.ok) {
-    const t = await res.text().catch(() => "");
-    throw new Error(`Zoom token request failed: ${res.status} ${t.slice(0, 200)}`);
-  }
-
-  const js = await res.json();
-  const token = js.access_token;
-  const expiresIn = Number(js.expires_in || 3600);
-
-  if (!token) throw new Error("Zoom token response missing access_token");
-
-  // refresh ~60s early
-  _zoomTokenCache.token = token;
-  _zoomTokenCache.expiresAt = Date.now() + Math.max(0, (expiresIn - 60)) * 1000;
-
-  return token;
-}
-
-function looksLikeMediaContentType(ct) {
-  if (!ct) return false;
-  const c = ct.toLowerCase();
-  return c.startsWith("audio/") || c.startsWith("video/") || c.includes("octet-stream");
-}
-
-async function getZoomDownloadUrl(rawUrl) {
-  const u = new URL(rawUrl);
-  const isZoomWebhookDownload =
-    /zoom\.us$/i.test(u.hostname) && u.pathname.includes("/rec/webhook_download/");
-
-  if (!isZoomWebhookDownload) return rawUrl;
-
-  const token = await getZoomAccessToken();
-  if (!u.searchParams.has("access_token")) u.searchParams.set("access_token", token);
-  return u.toString();
-}
-
-import { analyseTranscript } from "./ai/analyse.js";
-import { transcribeAudioParallel } from "./ai/parallelTranscribe.js";
-import { getCombinedPrompt } from "./ai/getCombinedPrompt.js";
-import { analyseQualification } from "./ai/analyseQualification.js";
+import { getCombinedPrompt, previewPrompt } from "./ai/getCombinedPrompt.js";
+import { listPrompts, readPrompt, getHistoryEntry, updatePrompt, rollbackPrompt } from "./ai/promptStore.js";
+import { enqueueJob, startWorker, listJobs, isValidCallId } from "./jobs/queue.js";
+import { stageHandlers } from "./jobs/pipeline.js";
+import { findDuplicateByUrl, findDuplicateRecording, isForced } from "./jobs/idempotency.js";
+import { summariseJob, describeJob } from "./jobs/status.js";
+import { reprocessCall, REPROCESS_MODES } from "./jobs/reprocess.js";
 
 
 import * as HS from "./hubspot/hubspot.js";
-
-const {
-  createScorecard,
-  updateCall,
-  getHubSpotObject,
-  getAssociations,
-  associateScorecardAllViaTypes,
-  updateQualificationCall,
-  createQualificationScorecard,
-} = HS;
+import { captureRawBody, requireHubSpotAuth } from "./hubspot/webhookAuth.js";
+import { verifyZoomSignature, urlValidationResponse } from "./zoom/zoom.js";
+import { resolveRecordingCompleted, recordingOf } from "./zoom/intake.js";
+import { requireAdmin } from "./admin/auth.js";
+import { listArtifacts, getArtifact, applyRetention, startRetentionSweep, artifactStoreInfo } from "./storage/artifacts.js";
+import { CALL_TYPES, routeFor } from "./config/callTypes.js";
+import { MAPPINGS } from "./config/mappings.js";
+import { buildProps, describeMapping } from "./hubspot/mapping.js";
+import { getCallRecord, readCallFile } from "./jobs/callStore.js";
+
+const { getHubSpotObject } = HS;
 
 dotenv.config();
 const app = express();
-app.use(bodyParser.json({ limit: "5mb" }));
+app.use(bodyParser.json({ limit: "5mb", verify: captureRawBody }));
 
 console.log("index.js — v4.2.5-qualification-call-mapping");
 try { console.log("HS exports available:", Object.keys(HS)); } catch {}
@@ -109,7 +47,11 @@ app.get("/env-check", (_req, res) => {
   const hasPrivate = !!process.env.HUBSPOT_PRIVATE_APP_TOKEN;
   const hasLegacy = !!process.env.HUBSPOT_TOKEN;
   const tokenSource = hasAccess ? "HUBSPOT_ACCESS_TOKEN" : (hasPrivate ? "HUBSPOT_PRIVATE_APP_TOKEN" : (hasLegacy ? "HUBSPOT_TOKEN" : "NONE"));
-  res.json({ ok: true, tokenSource, hasHubSpotToken: hasAccess || hasPrivate || hasLegacy, seenHubSpotEnvKeys: keys, node: process.version, now: Date.now() });
+  const webhookAuth = { signatureV3: !!(process.env.HUBSPOT_CLIENT_SECRET || process.env.HUBSPOT_APP_SECRET), sharedSecret: !!process.env.WEBHOOK_SHARED_SECRET };
+  const transcription = { backend: process.env.TRANSCRIBE_BACKEND || "openai", fallback: process.env.TRANSCRIBE_FALLBACK_BACKEND || null };
+  const llm = { provider: process.env.LLM_PROVIDER || "openai", baseUrl: process.env.LLM_BASE_URL || null };
+  const artifacts = artifactStoreInfo();
+  res.json({ ok: true, tokenSource, hasHubSpotToken: hasAccess || hasPrivate || hasLegacy, seenHubSpotEnvKeys: keys, webhookAuth, transcription, llm, artifacts, node: process.version, now: Date.now() });
 });
 
 function extractFromWebhook(body = {}) {
@@ -139,14 +81,16 @@ function extractFromWebhook(body = {}) {
   return { callId, recordingUrl };
 }
 
-app.post("/process-call", async (req, res) => {
+app.post("/process-call", requireHubSpotAuth, async (req, res) => {
   try {
     let { callId, recordingUrl, chunkSeconds, concurrency } = req.body || {};
+    const force = isForced(req.body?.force ?? req.query.force);
     const parsed = extractFromWebhook(req.body);
     callId = idify(callId) || parsed.callId;
     recordingUrl = urlify(recordingUrl) || parsed.recordingUrl;
 
     if (!callId) return res.status(400).json({ ok: false, error: "callId required" });
+    if (!isValidCallId(callId)) return res.status(400).json({ ok: false, error: "invalid callId" });
 
     if (!recordingUrl) {
       console.log("[info] recordingUrl missing — fetching from HubSpot Call…");
@@ -169,78 +113,223 @@ app.post("/process-call", async (req, res) => {
 
     if (!recordingUrl) return res.status(400).json({ ok: false, error: "recordingUrl required" });
 
+    // Same call + same recording within the window → acknowledge without re-running
+    if (!force) {
+      const dup = findDuplicateByUrl(callId, recordingUrl);
+      if (dup) {
+        console.log(`[dedupe] ${callId}: duplicate delivery of ${dup.id} (${dup.status}) — ignored`);
+        return res.status(200).send({ ok: true, callId, duplicate: true, jobId: dup.id, status: dup.status });
+      }
+    }
+
+    // Persist the job before replying so a restart can't lose it
+    const job = await enqueueJob({
+      callId,
+      recordingUrl,
+      options: { chunkSeconds: Number(chunkSeconds) || 120, concurrency: Number(concurrency) || 4, force },
+    });
+
     // Early 200 so HubSpot doesn't retry immediately
-    res.status(200).send({ ok: true, callId });
+    res.status(200).send({ ok: true, callId, jobId: job.id });
+  } catch (err) {
+    console.error("❌ Enqueue error:", err);
+    if (!res.headersSent) res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
 
-    const dest = `/tmp/ai-call-worker/${callId}.download`;
-    console.log("[bg] Processing call", callId);
-    console.log(`[bg] Downloading audio to ${dest}`);
-    console.log("[bg] Transcribing in parallel… (segment=%ss, concurrency=%s)", Number(chunkSeconds) || 120, Number(concurrency) || 4);
+// ---------- Zoom webhook ----------
+// Zoom expects a reply within 3s, so we acknowledge first and resolve the HubSpot call afterwards.
+// Redeliveries are dropped before that: resolving can create a HubSpot call.
+const zoomInFlight = new Set(); // meeting uuids / recording URLs being resolved right now
+app.post("/zoom/webhook", async (req, res) => {
+  const check = verifyZoomSignature(req);
+  if (!check.ok) {
+    console.warn(`[zoom] Rejected webhook: ${check.reason}`);
+    return res.status(401).json({ ok: false, error: "Unauthorized webhook" });
+  }
 
-    let transcript;
-    try {
-      transcript = await transcribeAudioParallel(dest, callId, {
-        sourceUrl: recordingUrl,
-        segmentSeconds: Number(chunkSeconds) || 120,
-        concurrency: Number(concurrency) || 4,
-      });
-    } catch (err) {
-      if (err && err.code === "EMPTY_TRANSCRIPT") { console.warn("[bg] Empty/blank recording — skipping AI analysis."); return; }
-      console.error("[bg] Transcription error:", err.message || err);
-      throw err;
+  const { event, payload } = req.body || {};
+  if (event === "endpoint.url_validation") {
+    return res.status(200).json(urlValidationResponse(payload?.plainToken));
+  }
+  if (event !== "recording.completed") {
+    return res.status(200).json({ ok: true, ignored: event || "unknown" });
+  }
+
+  res.status(200).json({ ok: true });
+
+  const recording = recordingOf(req.body);
+  const key = recording && (recording.meetingUuid || recording.recordingUrl);
+  if (recording) {
+    const dup = findDuplicateRecording(recording);
+    if (dup) {
+      console.log(`[dedupe] Zoom ${key}: redelivery of ${dup.id} (${dup.status}) — ignored`);
+      return;
+    }
+    if (zoomInFlight.has(key)) {
+      console.log(`[dedupe] Zoom ${key}: redelivery while the first delivery is being resolved — ignored`);
+      return;
     }
+    zoomInFlight.add(key);
+  }
+
+  try {
+    const resolved = await resolveRecordingCompleted(req.body);
+    if (!resolved) return;
+    const { callId, recordingUrl } = resolved;
+    await enqueueJob({
+      callId, recordingUrl,
+      options: { chunkSeconds: 120, concurrency: 4, source: "zoom", meetingUuid: recording?.meetingUuid || null },
+    });
+  } catch (err) {
+    console.error("❌ Zoom intake error:", err);
+  } finally {
+    if (key) zoomInFlight.delete(key);
+  }
+});
 
-    const callInfo = await getHubSpotObject("calls", callId, ["hubspot_owner_id", "hs_activity_type"]);
-    const ownerId = callInfo?.properties?.hubspot_owner_id;
-    const typeLabel = callInfo?.properties?.hs_activity_type || "Initial Consultation";
+// ---------- job status ----------
+// Admin only: job details carry the recording URL, owner id and options
+app.get("/jobs", requireAdmin, (req, res) => {
+  const { status } = req.query;
+  const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 50));
+  const jobs = listJobs().filter(j => !status || j.status === status).slice(0, limit);
+  res.json({ ok: true, count: jobs.length, jobs: jobs.map(summariseJob) });
+});
+
+app.get("/jobs/:callId", requireAdmin, (req, res) => {
+  const jobs = listJobs({ callId: req.params.callId });
+  if (!jobs.length) return res.status(404).json({ ok: false, error: "No jobs for this callId" });
+  res.json({ ok: true, callId: req.params.callId, latest: describeJob(jobs[0]), history: jobs.map(summariseJob) });
+});
 
-    // Branch by activity type
-    if (/^qualification call$/i.test(typeLabel)) {
-      console.log("[ai] Call type detected: Qualification Call");
-      console.log("🟦 Running Qualification Call analysis…");
+// ---------- artifacts ----------
+// Everything stored for a call, grouped by job (see storage/artifacts.js for the layout)
+app.get("/artifacts/:callId", requireAdmin, async (req, res) => {
+  if (!isValidCallId(req.params.callId)) return res.status(400).json({ ok: false, error: "invalid callId" });
+  try {
+    const jobs = await listArtifacts(req.params.callId);
+    if (!Object.keys(jobs).length) return res.status(404).json({ ok: false, error: "No artifacts for this callId" });
+    res.json({ ok: true, callId: req.params.callId, ...artifactStoreInfo(), jobs });
+  } catch (err) {
+    console.error("❌ Artifact list error:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
 
-      const analysis = await analyseQualification(transcript);
+// e.g. /artifacts/123/123-lx2k9/transcript/transcript.txt
+app.get("/artifacts/:callId/:jobId/*", requireAdmin, async (req, res) => {
+  // job ids have the same shape as call ids
+  if (![req.params.callId, req.params.jobId].every(isValidCallId)) return res.status(400).json({ ok: false, error: "invalid callId or jobId" });
+  try {
+    const found = await getArtifact(req.params.callId, req.params.jobId, req.params[0]);
+    if (!found) return res.status(404).json({ ok: false, error: "Artifact not found" });
+    res.type(found.contentType).send(found.body);
+  } catch (err) {
+    console.error("❌ Artifact read error:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
 
-      const contactIds = await getAssociations(callId, "contacts");
-      const dealIds = await getAssociations(callId, "deals");
-      console.log("[assoc]", { callId, contactIds, dealIds, ownerId });
+// Run the retention sweep now. Body: { dryRun? }
+app.post("/admin/artifacts/retention", requireAdmin, async (req, res) => {
+  try {
+    const result = await applyRetention({ dryRun: isForced(req.body?.dryRun) });
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error("❌ Retention error:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
 
-      // Write ONLY generic call fields (NOT ai_qualification_* — those belong to scorecard)
-      await updateQualificationCall(callId, analysis);
+// ---------- reprocess ----------
+// Re-run a processed call from its stored transcript/analysis. Body: { mode: "analysis" | "hubspot" | "all", rediarise? }
+const REPROCESS_STATUS = { INVALID: 400, INVALID_CALL_ID: 400, NOT_FOUND: 404, NOT_CACHED: 409, BUSY: 409 };
 
-        { const { patchQualificationCallProps } = await import("./hubspot/patch_qualification_props.js"); await patchQualificationCallProps({ callId, data: analysis }); } // Create scorecard (owner carried)
+app.post("/reprocess/:callId", requireAdmin, async (req, res) => {
+  const { mode = "analysis", rediarise } = req.body || {};
+  if (!isValidCallId(req.params.callId)) return res.status(400).json({ ok: false, error: "invalid callId" });
+  try {
+    const job = await reprocessCall(req.params.callId, { mode, rediarise: isForced(rediarise) });
+    res.json({ ok: true, callId: req.params.callId, mode, jobId: job.id, startsAfter: job.stage });
+  } catch (err) {
+    const status = REPROCESS_STATUS[err.code] || 500;
+    if (status === 500) console.error("❌ Reprocess error:", err);
+    res.status(status).json({ ok: false, callId: req.params.callId, error: err.message, code: err.code || null });
+  }
+});
 
-      const scorecardId = await createQualificationScorecard({ callId, contactIds, ownerId, data: analysis });
-      console.log("[scorecard] Qualification created:", scorecardId);
+// Bulk: { callIds: [...], mode, rediarise? } — each call is queued independently
+app.post("/reprocess", requireAdmin, async (req, res) => {
+  const { callIds, mode = "analysis", rediarise } = req.body || {};
+  if (!Array.isArray(callIds) || !callIds.length) return res.status(400).json({ ok: false, error: "callIds (array) required" });
+  if (callIds.length > 500) return res.status(400).json({ ok: false, error: "At most 500 callIds per request" });
+  if (!(mode in REPROCESS_MODES)) return res.status(400).json({ ok: false, error: `mode must be one of ${Object.keys(REPROCESS_MODES).join(", ")}` });
 
-      if (scorecardId) {
-        console.log("[force-assoc] start (qualification) …");
-        if (typeof associateScorecardAllViaTypes === "function") await associateScorecardAllViaTypes({ scorecardId, callId, contactIds, dealIds });
-        console.log("[force-assoc] done (qualification).");
-      }
-      console.log("✅ Qualification Call complete");
-      return;
+  const results = [];
+  for (const callId of [...new Set(callIds.map(idify).filter(Boolean))]) {
+    try {
+      const job = await reprocessCall(callId, { mode, rediarise: isForced(rediarise) });
+      results.push({ callId, ok: true, jobId: job.id });
+    } catch (err) {
+      if (!REPROCESS_STATUS[err.code]) console.error(`❌ Reprocess ${callId} error:`, err);
+      results.push({ callId, ok: false, error: err.message, code: err.code || null });
     }
+  }
+  const queued = results.filter(r => r.ok).length;
+  res.json({ ok: true, mode, queued, failed: results.length - queued, results });
+});
 
-    // Default: Initial Consultation
-    console.log("[ai] Analysing with TLPI context…");
-    const analysis = await analyseTranscript(typeLabel, transcript);
-
-    const contactIds = await getAssociations(callId, "contacts");
-    const dealIds = await getAssociations(callId, "deals");
-    console.log("[assoc]", { callId, contactIds, dealIds, ownerId });
+// ---------- mappings ----------
+// What each call type writes to HubSpot (config/mappings.js). ?callType= (label or key) narrows
+// the list; ?callId= renders the properties a write of that call's stored analysis would send.
+function mappingRoute(callType) {
+  const route = CALL_TYPES[callType] ? { key: callType, ...CALL_TYPES[callType] } : routeFor(callType);
+  return { ...route, fields: MAPPINGS[route.mapping] || [] };
+}
 
-    await updateCall(callId, analysis);
+function renderMapping(route, analysis, ctx = {}) {
+  return {
+    callType: route.label,
+    mapping: route.mapping,
+    call: buildProps(route.fields, analysis, ctx, "call"),
+    scorecard: route.scorecard ? buildProps(route.fields, analysis, ctx, "scorecard") : null,
+  };
+}
 
-    const scorecardId = await createScorecard(analysis, { callId, contactIds, dealIds, ownerId });
-    if (scorecardId) {
-      console.log("[force-assoc] start…");
-      if (typeof associateScorecardAllViaTypes === "function") await associateScorecardAllViaTypes({ scorecardId, callId, contactIds, dealIds });
-      console.log("[force-assoc] done.");
+app.get("/mappings", requireAdmin, async (req, res) => {
+  try {
+    const { callType, callId } = req.query;
+    if (callId) {
+      const record = getCallRecord(callId);
+      const stored = record && await readCallFile(callId, "analysis");
+      if (!stored) return res.status(404).json({ ok: false, error: "No stored analysis for this callId" });
+      const route = mappingRoute(callType || record.typeLabel);
+      return res.json({ ok: true, callId, ...renderMapping(route, JSON.parse(stored), { callId, ownerId: record.ownerId }) });
     }
-    console.log(`✅ Done ${callId}`);
+
+    const keys = callType ? [mappingRoute(callType).mapping] : Object.keys(MAPPINGS);
+    const mappings = keys.map(mapping => ({
+      mapping,
+      callTypes: Object.values(CALL_TYPES).filter(t => t.mapping === mapping).map(t => t.label),
+      fields: describeMapping(MAPPINGS[mapping]),
+    }));
+    res.json({ ok: true, mappings });
+  } catch (err) {
+    console.error("❌ Mappings error:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Body: { callType, analysis, callId?, ownerId? } — render without a stored call
+app.post("/mappings/preview", requireAdmin, (req, res) => {
+  const { callType, analysis, callId, ownerId } = req.body || {};
+  if (!analysis || typeof analysis !== "object") return res.status(400).json({ ok: false, error: "analysis (object) required" });
+  try {
+    res.json({ ok: true, ...renderMapping(mappingRoute(callType), analysis, { callId, ownerId }) });
   } catch (err) {
-    console.error("❌ Background error:", err);
+    console.error("❌ Mapping preview error:", err);
+    res.status(500).json({ ok: false, error: err.message });
   }
 });
 
@@ -250,12 +339,74 @@ app.post("/debug-prompt", async (req, res) => {
   res.send({ callType, prompt });
 });
 
-const PORT = process.env.PORT || 10000;
-app.listen(PORT, () => console.log(`AI Call Worker listening on :${PORT}`));
+// ---------- admin: prompts ----------
+// Edits are live for the next analysis (prompts are read per call); history is kept for rollback.
+const SAMPLE_TRANSCRIPT = [
+  "[00:00] Consultant (Sample): Hi, thanks for making time today. How did you hear about us?",
+  "[00:06] Prospect (Sample): A friend mentioned it. I run a limited company and want to cut my corporation tax bill.",
+  "[00:15] Consultant (Sample): Great — roughly what is the bill each year?",
+  "[00:19] Prospect (Sample): Around forty thousand. I'd need to talk it through with my accountant first.",
+].join("\n");
+
+function adminError(res, err) {
+  const status = err.code === "INVALID" ? 400 : err.code === "CONFLICT" ? 409 : (err.code === "NOT_FOUND" || err.code === "ENOENT") ? 404 : 500;
+  if (status === 500) console.error("❌ Admin prompt error:", err);
+  res.status(status).json({ ok: false, error: status === 404 && err.code === "ENOENT" ? "Prompt file not found" : err.message });
+}
 
+app.get("/admin/prompts", requireAdmin, async (_req, res) => {
+  try {
+    res.json({ ok: true, prompts: await listPrompts() });
+  } catch (err) { adminError(res, err); }
+});
 
+// Preview: the exact message array an analysis would send. Pass { file, content } to render
+// an unsaved draft; transcript defaults to a short sample.
+app.post("/admin/prompts/preview", requireAdmin, async (req, res) => {
+  try {
+    const { callType, transcript, file, content } = req.body || {};
+    const overrides = file && content != null ? { [file]: String(content) } : {};
+    const preview = await previewPrompt(callType || "Initial Consultation", transcript || SAMPLE_TRANSCRIPT, overrides);
+    res.json({ ok: true, draft: !!overrides[file], ...preview });
+  } catch (err) { adminError(res, err); }
+});
+
+app.get("/admin/prompts/:file", requireAdmin, async (req, res) => {
+  try {
+    res.json({ ok: true, ...(await readPrompt(req.params.file)) });
+  } catch (err) { adminError(res, err); }
+});
 
+app.get("/admin/prompts/:file/history/:id", requireAdmin, async (req, res) => {
+  try {
+    const entry = await getHistoryEntry(req.params.file, req.params.id);
+    if (!entry) return res.status(404).json({ ok: false, error: "No such history entry" });
+    res.json({ ok: true, file: req.params.file, ...entry });
+  } catch (err) { adminError(res, err); }
+});
 
+// Body: { content, note?, expectedSha256? } — content is the whole file including front matter
+app.put("/admin/prompts/:file", requireAdmin, async (req, res) => {
+  try {
+    const { content, note, expectedSha256 } = req.body || {};
+    if (typeof content !== "string") return res.status(400).json({ ok: false, error: "content (string) required" });
+    const result = await updatePrompt(req.params.file, content, { note, expectedSha256 });
+    res.json({ ok: true, file: req.params.file, ...result });
+  } catch (err) { adminError(res, err); }
+});
 
+// Body: { id, note? } — id from the file's history
+app.post("/admin/prompts/:file/rollback", requireAdmin, async (req, res) => {
+  try {
+    const { id, note } = req.body || {};
+    if (!id) return res.status(400).json({ ok: false, error: "id required" });
+    const result = await rollbackPrompt(req.params.file, String(id), { note });
+    res.json({ ok: true, file: req.params.file, ...result });
+  } catch (err) { adminError(res, err); }
+});
 
+const PORT = process.env.PORT || 10000;
+app.listen(PORT, () => console.log(`AI Call Worker listening on :${PORT}`));
 
+startWorker(stageHandlers).catch((err) => console.error("❌ Worker failed to start:", err));
+startRetentionSweep();
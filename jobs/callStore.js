@@ -0,0 +1,113 @@
+// jobs/callStore.js
+// Latest outputs per HubSpot call, kept beyond the job that produced them so a
+// call can be re-analysed or re-written without downloading/transcribing again.
+//
+// <WORKER_DATA_DIR>/calls/<callId>/
+//   transcript.txt            raw [mm:ss] transcript
+//   transcript.labelled.txt   speaker-labelled transcript (diarised)
+//   segments.json             Whisper segments with absolute times
+//   analysis.json             last analysis result
+//   call.json                 { callId, jobId, recordingUrl, typeLabel, ownerId, scorecardId, noteId, noteFileId, rejectedProperties, promptVersion, files, updatedAt }
+//                             rejectedProperties: [{ object, name, reason }] call / scorecard properties HubSpot would not take on the last write
+
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import { DATA_DIR, isValidCallId } from "./queue.js";
+
+const CALLS_DIR = path.join(DATA_DIR, "calls");
+
+export const CALL_FILES = {
+  transcript: "transcript.txt",
+  labelled: "transcript.labelled.txt",
+  segments: "segments.json",
+  analysis: "analysis.json",
+};
+
+export function callDir(callId) {
+  if (!isValidCallId(callId)) throw Object.assign(new Error(`Invalid callId: ${callId}`), { code: "INVALID_CALL_ID" });
+  return path.join(CALLS_DIR, String(callId));
+}
+
+async function writeAtomic(file, text) {
+  await fsp.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fsp.writeFile(tmp, text);
+  await fsp.rename(tmp, file);
+}
+
+export function getCallRecord(callId) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(callDir(callId), "call.json"), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// Merge into call.json
+export async function updateCallRecord(callId, patch) {
+  const record = { ...(getCallRecord(callId) || { callId: String(callId), files: {} }), ...patch, updatedAt: new Date().toISOString() };
+  await writeAtomic(path.join(callDir(callId), "call.json"), JSON.stringify(record, null, 2));
+  return record;
+}
+
+/**
+ * saveCallFile(callId, kind, text, meta?) — kind is a key of CALL_FILES.
+ * Replaces the previous copy; meta is merged into call.json.
+ */
+export async function saveCallFile(callId, kind, text, meta = {}) {
+  const name = CALL_FILES[kind];
+  if (!name) throw new Error(`Unknown call file kind "${kind}"`);
+  await writeAtomic(path.join(callDir(callId), name), text);
+  const files = { ...(getCallRecord(callId)?.files || {}), [kind]: new Date().toISOString() };
+  return updateCallRecord(callId, { ...meta, files });
+}
+
+export function hasCallFile(callId, kind) {
+  return fs.existsSync(path.join(callDir(callId), CALL_FILES[kind]));
+}
+
+// Stored text, or null when missing
+export async function readCallFile(callId, kind) {
+  if (!hasCallFile(callId, kind)) return null;
+  return fsp.readFile(path.join(callDir(callId), CALL_FILES[kind]), "utf8");
+}
+
+/**
+ * pruneCallFiles(cutoffMs, { dryRun }) -> [path relative to WORKER_DATA_DIR]
+ * Deletes stored transcripts / segments / analysis written before cutoffMs (retention sweep,
+ * storage/artifacts.js). call.json is kept so a reprocess still finds the scorecard and note;
+ * the call is then re-downloaded and re-transcribed.
+ */
+export async function pruneCallFiles(cutoffMs, { dryRun = false } = {}) {
+  const deleted = [];
+  for (const callId of await fsp.readdir(CALLS_DIR).catch(() => [])) {
+    let dir;
+    try { dir = callDir(callId); } catch { continue; }
+    const record = getCallRecord(callId);
+    const files = { ...(record?.files || {}) };
+    let changed = false;
+    for (const [kind, name] of Object.entries(CALL_FILES)) {
+      const file = path.join(dir, name);
+      const stat = await fsp.stat(file).catch(() => null);
+      if (!stat || stat.mtimeMs >= cutoffMs) continue;
+      if (!dryRun) {
+        await fsp.unlink(file);
+        delete files[kind];
+        changed = true;
+      }
+      deleted.push(path.relative(DATA_DIR, file));
+    }
+    if (changed && record) await updateCallRecord(callId, { files });
+  }
+  return deleted;
+}
+
+// Copy a stored file into a job's working directory; returns the new path or null
+export async function copyCallFile(callId, kind, destDir) {
+  if (!hasCallFile(callId, kind)) return null;
+  const dest = path.join(destDir, CALL_FILES[kind]);
+  await fsp.mkdir(destDir, { recursive: true });
+  await fsp.copyFile(path.join(callDir(callId), CALL_FILES[kind]), dest);
+  return dest;
+}
@@ -0,0 +1,82 @@
+// jobs/idempotency.js
+// De-duplicates webhook deliveries so HubSpot retries / double-fires don't
+// transcribe a call twice or create a second Sales Scorecard.
+//
+// A delivery is a duplicate when another job for the same callId, created within
+// DEDUPE_WINDOW_HOURS (default 24, 0 disables), either:
+//   - has the same recording URL (ignoring signed/expiring query params), or
+//   - downloaded media with the same SHA-256 content hash.
+// Failed jobs never count. Pass force=true to reprocess on purpose.
+//
+// Zoom deliveries are checked before the HubSpot call is known (resolving it may create
+// one), so they match any call's job with the same meeting uuid or recording URL.
+
+import fs from "fs";
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { listJobs } from "./queue.js";
+dotenv.config();
+
+const WINDOW_HOURS = Number(process.env.DEDUPE_WINDOW_HOURS ?? 24);
+
+// Query params that change between deliveries of the same recording
+const VOLATILE_PARAMS = /^(access_token|token|download_token|expires|signature|key-pair-id|x-amz-.*)$/i;
+
+export function dedupeWindowMs() {
+  return Number.isFinite(WINDOW_HOURS) && WINDOW_HOURS > 0 ? WINDOW_HOURS * 3600_000 : 0;
+}
+
+export function normaliseRecordingUrl(raw) {
+  try {
+    const u = new URL(String(raw));
+    for (const k of [...u.searchParams.keys()]) if (VOLATILE_PARAMS.test(k)) u.searchParams.delete(k);
+    u.hash = "";
+    return u.toString();
+  } catch {
+    return String(raw || "").trim();
+  }
+}
+
+function recentJobsFor(callId, excludeId) {
+  const windowMs = dedupeWindowMs();
+  if (!windowMs) return [];
+  const since = Date.now() - windowMs;
+  return listJobs({ callId }).filter(j => j.id !== excludeId && j.createdAt >= since && j.status !== "failed");
+}
+
+// Intake check: same call + same recording URL
+export function findDuplicateByUrl(callId, recordingUrl) {
+  const key = normaliseRecordingUrl(recordingUrl);
+  return recentJobsFor(callId).find(j => normaliseRecordingUrl(j.recordingUrl) === key) || null;
+}
+
+// Zoom intake check: any call, same meeting uuid (job.options.meetingUuid) or recording URL
+export function findDuplicateRecording({ meetingUuid, recordingUrl }) {
+  const windowMs = dedupeWindowMs();
+  if (!windowMs) return null;
+  const since = Date.now() - windowMs;
+  const key = recordingUrl ? normaliseRecordingUrl(recordingUrl) : null;
+  return listJobs().find(j => j.createdAt >= since && j.status !== "failed" && (
+    (meetingUuid && j.options?.meetingUuid === meetingUuid) ||
+    (key && normaliseRecordingUrl(j.recordingUrl) === key)
+  )) || null;
+}
+
+// Post-download check: same call + identical media
+export function findDuplicateByHash(job, contentHash) {
+  return recentJobsFor(job.callId, job.id).find(j => j.data?.contentHash === contentHash) || null;
+}
+
+export function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const h = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("data", (chunk) => h.update(chunk))
+      .on("error", reject)
+      .on("end", () => resolve(h.digest("hex")));
+  });
+}
+
+export function isForced(val) {
+  return val === true || /^(1|true|yes)$/i.test(String(val ?? ""));
+}
@@ -0,0 +1,361 @@
+// jobs/pipeline.js
+// Stage handlers for the call-processing queue (see jobs/queue.js).
+// Each handler receives the job and returns the outputs to merge into job.data.
+
+import fsp from "fs/promises";
+import path from "path";
+
+import { downloadRecording, transcribeLocalAudio } from "../ai/parallelTranscribe.js";
+import { diariseTranscript } from "../ai/diarise.js";
+import { classifyCall } from "../ai/classifyCallType.js";
+import { DATA_DIR, jobDir, getJob, updateJob, recordMetrics } from "./queue.js";
+import { findDuplicateByHash, hashFile } from "./idempotency.js";
+import { saveCallFile, updateCallRecord, readCallFile, getCallRecord } from "./callStore.js";
+import { putArtifact, putArtifactFile } from "../storage/artifacts.js";
+import { getZoomDownloadUrl } from "../zoom/zoom.js";
+import { callNoteHtml } from "../hubspot/callNote.js";
+import { routeFor } from "../config/callTypes.js";
+
+import * as HS from "../hubspot/hubspot.js";
+
+const {
+  getHubSpotObject,
+  getAssociations,
+  associateScorecardAllViaTypes,
+  updateScorecard,
+  getOwnerName,
+  getContactName,
+  upsertNote,
+  associateNote,
+  uploadFile,
+  archiveFile,
+} = HS;
+
+// Timeline note (summary + transcript) written after the scorecard:
+//   HUBSPOT_CALL_NOTE=inline          inline | file (transcript attached as a .txt) | off
+//   HUBSPOT_NOTE_TRANSCRIPT=labelled  labelled (speaker names when available) | raw
+//   HUBSPOT_NOTE_MAX_CHARS=60000      longer notes attach the transcript instead
+//   HUBSPOT_FILES_FOLDER=/ai-call-worker/transcripts
+const CALL_NOTE = String(process.env.HUBSPOT_CALL_NOTE || "inline").toLowerCase();
+const NOTE_TRANSCRIPT = String(process.env.HUBSPOT_NOTE_TRANSCRIPT || "labelled").toLowerCase();
+const NOTE_MAX_CHARS = Number(process.env.HUBSPOT_NOTE_MAX_CHARS) || 60_000;
+const FILES_FOLDER = process.env.HUBSPOT_FILES_FOLDER || "/ai-call-worker/transcripts";
+
+async function writeJson(file, value) {
+  await fsp.mkdir(path.dirname(file), { recursive: true });
+  await fsp.writeFile(file, JSON.stringify(value, null, 2));
+}
+
+async function readJson(file) {
+  return JSON.parse(await fsp.readFile(file, "utf8"));
+}
+
+// Artifacts are a record of the run, not an input to it: a store outage only warns
+async function saveArtifact(job, name, body, { file = false } = {}) {
+  try {
+    await (file ? putArtifactFile(job.callId, job.id, name, body) : putArtifact(job.callId, job.id, name, body));
+  } catch (err) {
+    console.warn(`[artifacts] Could not store ${name} for ${job.id}:`, err.message);
+  }
+}
+
+async function saveLlmResponses(job, label, responses) {
+  const attempt = (job.attempts || 0) + 1;
+  for (const [i, r] of responses.entries()) {
+    await saveArtifact(job, `llm/${label}-attempt${attempt}-${String(i + 1).padStart(3, "0")}.json`, r);
+  }
+}
+
+// ---------- stage: downloaded ----------
+async function download(job) {
+  const dest = path.join(jobDir(job.id), "source.download");
+  console.log("[bg] Processing call", job.callId);
+  console.log(`[bg] Downloading audio to ${dest}`);
+  const sourceUrl = await getZoomDownloadUrl(job.recordingUrl).catch((err) => {
+    console.warn("[zoom] Could not authorise recording URL, trying it as-is:", err.message);
+    return job.recordingUrl;
+  });
+  await downloadRecording(sourceUrl, dest);
+  const { size } = await fsp.stat(dest);
+  await recordMetrics(job.id, { downloadBytes: size });
+
+  const contentHash = await hashFile(dest);
+  await saveArtifact(job, "source/source.json", {
+    recordingUrl: job.recordingUrl, contentHash, bytes: size, downloadedAt: new Date().toISOString(),
+  });
+  if (!job.options?.force) {
+    const dup = findDuplicateByHash(job, contentHash);
+    if (dup) {
+      await fsp.unlink(dest).catch(() => {});
+      await updateJob(job.id, { duplicateOf: dup.id });
+      throw Object.assign(new Error(`Duplicate recording — same media as ${dup.id}`), { code: "SKIP" });
+    }
+  }
+  return { audioPath: dest, contentHash };
+}
+
+// ---------- stage: transcribed ----------
+async function transcribe(job) {
+  const segmentSeconds = Number(job.options?.chunkSeconds) || 120;
+  const concurrency = Number(job.options?.concurrency) || 4;
+  console.log("[bg] Transcribing in parallel… (segment=%ss, concurrency=%s)", segmentSeconds, concurrency);
+
+  let transcript;
+  const stats = {};
+  const segments = [];
+  const chunks = [];
+  const workDir = path.join(jobDir(job.id), "work");
+  try {
+    transcript = await transcribeLocalAudio(job.data.audioPath, job.callId, { segmentSeconds, concurrency, stats, segments, chunks, workDir });
+  } catch (err) {
+    if (err && err.code === "EMPTY_TRANSCRIPT") console.warn("[bg] Empty/blank recording — skipping AI analysis.");
+    else console.error("[bg] Transcription error:", err.message || err);
+    throw err;
+  } finally {
+    await recordMetrics(job.id, stats);
+    // Kept even when transcription fails — the chunks show where it went wrong
+    if (stats.workingAudio) {
+      await saveArtifact(job, `audio/working${path.extname(stats.workingAudio)}`, path.join(workDir, stats.workingAudio), { file: true });
+    }
+    for (const c of chunks.sort((a, b) => a.index - b.index)) {
+      await saveArtifact(job, `chunks/${c.chunk.replace(/\.[^.]+$/, "")}.json`, c);
+    }
+    await fsp.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+
+  const transcriptPath = path.join(jobDir(job.id), "transcript.txt");
+  await fsp.writeFile(transcriptPath, transcript);
+  await writeJson(path.join(jobDir(job.id), "segments.json"), segments);
+  // Kept per call so /reprocess can re-run analysis without transcribing again
+  await saveCallFile(job.callId, "transcript", transcript, { jobId: job.id, recordingUrl: job.recordingUrl });
+  await saveCallFile(job.callId, "segments", JSON.stringify(segments, null, 2));
+  await saveArtifact(job, "transcript/transcript.txt", transcript);
+  await saveArtifact(job, "transcript/segments.json", segments);
+  // The source media is no longer needed once we have text
+  await fsp.unlink(job.data.audioPath).catch(() => {});
+  return { transcriptPath };
+}
+
+// Every schema violation from the LLM is kept: on the job (visible in /jobs/:callId)
+// and in <DATA_DIR>/schema-failures.jsonl for reviewing prompts across calls.
+async function recordSchemaFailures(job, failures) {
+  if (!failures.length) return;
+  const lines = failures.map(f => JSON.stringify({ jobId: job.id, callId: job.callId, ...f })).join("\n") + "\n";
+  await fsp.appendFile(path.join(DATA_DIR, "schema-failures.jsonl"), lines).catch((err) =>
+    console.warn("[schema] Could not append failure log:", err.message));
+  const previous = getJob(job.id)?.metrics?.schemaFailures || [];
+  await recordMetrics(job.id, { schemaFailures: [...previous, ...failures].slice(-50) });
+}
+
+// Speaker-labelled transcript, cached next to the raw one so a retried analysis
+// does not pay for diarisation twice.
+async function labelledTranscript(job, ownerId) {
+  const labelledPath = path.join(jobDir(job.id), "transcript.labelled.txt");
+  try {
+    return await fsp.readFile(labelledPath, "utf8");
+  } catch {}
+
+  const raw = await fsp.readFile(job.data.transcriptPath, "utf8");
+  const contactIds = await getAssociations(job.callId, "contacts");
+  const [consultantName, prospectName] = await Promise.all([
+    getOwnerName(ownerId),
+    getContactName(contactIds[0]),
+  ]);
+  console.log("[diarise] Labelling speakers", { consultantName, prospectName });
+
+  const t0 = Date.now();
+  const usage = {};
+  const schemaFailures = [];
+  const responses = [];
+  let text, turns;
+  try {
+    ({ text, turns } = await diariseTranscript(raw, { consultantName, prospectName }, { usage, schemaFailures, responses }));
+  } finally {
+    await recordSchemaFailures(job, schemaFailures);
+    await saveLlmResponses(job, "diarise", responses);
+  }
+  await recordMetrics(job.id, { diariseMs: Date.now() - t0, speakerTurns: turns.length, diariseUsage: usage });
+  await fsp.writeFile(labelledPath, text);
+  await saveCallFile(job.callId, "labelled", text);
+  await saveArtifact(job, "transcript/transcript.labelled.txt", text);
+  return text;
+}
+
+// ---------- stage: analysed ----------
+async function analyse(job) {
+  const callInfo = await getHubSpotObject("calls", job.callId, ["hubspot_owner_id", "hs_activity_type"]);
+  const ownerId = callInfo?.properties?.hubspot_owner_id || null;
+  const repLabel = callInfo?.properties?.hs_activity_type || "";
+
+  const transcript = await labelledTranscript(job, ownerId);
+
+  let analysis, typeLabel, classification;
+  const t0 = Date.now();
+  const usage = {};
+  const schemaFailures = [];
+  const responses = [];
+  const longCall = {};
+  const llmOpts = { usage, schemaFailures, responses, longCall };
+  try {
+    // The transcript decides when hs_activity_type is blank or confidently wrong (ai/classifyCallType.js)
+    ({ typeLabel, classification } = await classifyCall(repLabel, transcript, { usage, schemaFailures, responses }));
+    const route = routeFor(typeLabel);
+    console.log(`[ai] Call type "${typeLabel}" → ${route.key} analysis (prompt ${route.prompt})`);
+    analysis = await route.analyse(transcript, llmOpts, typeLabel);
+  } finally {
+    await recordSchemaFailures(job, schemaFailures);
+    await saveLlmResponses(job, "analysis", responses);
+  }
+  if (classification) analysis.call_classification = classification;
+  await recordMetrics(job.id, {
+    ...(classification ? {
+      callType: {
+        rep: classification.rep_call_type,
+        predicted: classification.call_type,
+        confidence: classification.confidence,
+        routed: typeLabel,
+        routedBy: classification.routed_by,
+        mismatch: classification.mismatch,
+      },
+    } : {}),
+    llmMs: Date.now() - t0,
+    transcriptChars: transcript.length,
+    llmUsage: usage,
+    ...(longCall.condensed ? { longCall } : {}),
+  });
+
+  const analysisPath = path.join(jobDir(job.id), "analysis.json");
+  await writeJson(analysisPath, analysis);
+  await saveCallFile(job.callId, "analysis", JSON.stringify(analysis, null, 2), {
+    jobId: job.id, typeLabel, ownerId, promptVersion: analysis.prompt_version || null,
+  });
+  await saveArtifact(job, "analysis/analysis.json", analysis);
+  return { analysisPath, ownerId, typeLabel, promptVersion: analysis.prompt_version || null };
+}
+
+// ---------- stage: written ----------
+// Re-runnable: the scorecard id is persisted as soon as it exists so a retry
+// after a failed association does not create a second scorecard.
+// A reprocess job updates the call's previous scorecard (options.previousScorecardId)
+// and only creates a new one if that scorecard is gone (deleted in HubSpot).
+// -> { scorecardId, rejected } (rejected: scorecard properties HubSpot would not take)
+async function saveScorecard(job, create, props) {
+  if (job.data.scorecardId) return { scorecardId: job.data.scorecardId, rejected: job.data.scorecardRejected || [] };
+  const previous = job.options?.previousScorecardId;
+  const updated = previous ? await updateScorecard(previous, props()) : null;
+  const written = !previous || updated.gone ? await create() : updated;
+  const scorecardId = written?.id || null;
+  const rejected = written?.rejected || [];
+  if (scorecardId) await updateJob(job.id, { data: { ...job.data, scorecardId, scorecardRejected: rejected } });
+  return { scorecardId, rejected };
+}
+
+const rejectedList = (object, rejected = []) => rejected.map(({ name, reason }) => ({ object, name, reason }));
+
+async function noteTranscript(job) {
+  if (NOTE_TRANSCRIPT !== "raw") {
+    const labelled = await readCallFile(job.callId, "labelled").catch(() => null);
+    if (labelled) return labelled;
+  }
+  const stored = await readCallFile(job.callId, "transcript").catch(() => null);
+  if (stored) return stored;
+  return job.data.transcriptPath ? fsp.readFile(job.data.transcriptPath, "utf8").catch(() => "") : "";
+}
+
+// One note per call: a reprocess job updates options.previousNoteId in place, and the
+// note id is persisted straight away so a retry does not post a second note.
+async function writeCallNote(job, { analysis, typeLabel, ownerId, contactIds, dealIds }) {
+  if (CALL_NOTE === "off") return {};
+  const { callId } = job;
+  const transcript = await noteTranscript(job);
+  const fileName = `call-${callId}-transcript.txt`;
+  const callType = routeFor(typeLabel).key;
+
+  let built = callNoteHtml({ typeLabel, callType, analysis, transcript, transcriptFileName: fileName, maxChars: NOTE_MAX_CHARS });
+  let noteFileId = null;
+  if (transcript && (CALL_NOTE === "file" || !built.transcriptInline)) {
+    const file = await uploadFile({ name: fileName, content: transcript, folderPath: FILES_FOLDER });
+    noteFileId = file?.id || null;
+    if (CALL_NOTE === "file") {
+      built = callNoteHtml({ typeLabel, callType, analysis, transcript: "", transcriptFileName: noteFileId ? fileName : null });
+    } else if (!noteFileId) {
+      built = callNoteHtml({ typeLabel, callType, analysis, transcript: "", transcriptFileName: null });
+    }
+  }
+
+  const noteId = await upsertNote({
+    noteId: job.data.noteId || job.options?.previousNoteId,
+    body: built.html,
+    ownerId,
+    attachmentIds: noteFileId ? [noteFileId] : [],
+  }).catch(async (err) => {
+    await archiveFile(noteFileId); // the retry uploads the transcript again
+    throw err;
+  });
+  if (!noteId) {
+    await archiveFile(noteFileId);
+    return {};
+  }
+  await updateJob(job.id, { data: { ...job.data, noteId } });
+  await associateNote(noteId, { callId, contactIds, dealIds });
+
+  // The previous transcript attachment is replaced, not accumulated
+  const previousFileId = getCallRecord(callId)?.noteFileId;
+  if (previousFileId && previousFileId !== noteFileId) await archiveFile(previousFileId);
+  console.log("[note]", { noteId, transcript: built.transcriptInline ? "inline" : noteFileId ? "attached" : "none" });
+  return { noteId, noteFileId };
+}
+
+async function write(job) {
+  const { callId } = job;
+  const { ownerId, typeLabel } = job.data;
+  const analysis = await readJson(job.data.analysisPath);
+  const t0 = Date.now();
+
+  // Call type -> call properties, scorecard and associations (config/callTypes.js)
+  const route = routeFor(typeLabel);
+  const contactIds = route.associate.includes("contacts") ? await getAssociations(callId, "contacts") : [];
+  const dealIds = route.associate.includes("deals") ? await getAssociations(callId, "deals") : [];
+  console.log("[assoc]", { callId, route: route.key, contactIds, dealIds, ownerId });
+
+  const written = await route.updateCall(callId, analysis);
+  const rejectedProperties = rejectedList("call", written?.rejected);
+
+  let scorecardId = null;
+  if (route.scorecard) {
+    const ctx = { callId, ownerId, contactIds, dealIds, analysis };
+    const saved = await saveScorecard(job, () => route.scorecard.create(ctx), () => route.scorecard.props(ctx));
+    scorecardId = saved.scorecardId;
+    rejectedProperties.push(...rejectedList("scorecard", saved.rejected));
+    console.log(`[scorecard] ${route.label}:`, scorecardId);
+  } else {
+    console.log(`[scorecard] Skipped for ${route.label}`);
+  }
+
+  if (scorecardId) {
+    console.log("[force-assoc] start…");
+    if (typeof associateScorecardAllViaTypes === "function") await associateScorecardAllViaTypes({ scorecardId, callId, contactIds, dealIds });
+    console.log("[force-assoc] done.");
+  }
+
+  // A failed note update throws: the written stage is retried (ids already saved are reused)
+  const note = await writeCallNote(job, { analysis, typeLabel, ownerId, contactIds, dealIds });
+
+  await recordMetrics(job.id, { hubspotMs: Date.now() - t0, rejectedProperties });
+  // Never forget a scorecard or note id: a failed create here must not orphan the earlier one
+  await updateCallRecord(callId, {
+    ...(scorecardId ? { scorecardId } : {}),
+    ...(note.noteId ? { noteId: note.noteId, noteFileId: note.noteFileId } : {}),
+    rejectedProperties,
+    writtenByJobId: job.id,
+  });
+  console.log(`✅ Done ${callId}`);
+  return { scorecardId, noteId: note.noteId || null };
+}
+
+export const stageHandlers = {
+  downloaded: download,
+  transcribed: transcribe,
+  analysed: analyse,
+  written: write,
+};
@@ -0,0 +1,243 @@
+// jobs/queue.js
+// File-backed job queue for call processing.
+// - One JSON file per job under <WORKER_DATA_DIR>/jobs, written atomically (tmp + rename)
+// - Explicit stages: downloaded → transcribed → analysed → written
+// - Unfinished jobs are picked up again after a restart; failed stages retry with backoff
+
+import crypto from "crypto";
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, "..");
+
+export const DATA_DIR = path.resolve(process.env.WORKER_DATA_DIR || path.join(ROOT, "data"));
+const JOBS_DIR = path.join(DATA_DIR, "jobs");
+
+export const STAGES = ["downloaded", "transcribed", "analysed", "written"];
+
+const MAX_ATTEMPTS = Math.max(1, Number(process.env.JOB_MAX_ATTEMPTS) || 5);
+const RETRY_BASE_MS = Math.max(1000, Number(process.env.JOB_RETRY_BASE_MS) || 30_000);
+const RETRY_MAX_MS = Math.max(RETRY_BASE_MS, Number(process.env.JOB_RETRY_MAX_MS) || 15 * 60_000);
+const POLL_MS = Math.max(250, Number(process.env.JOB_POLL_MS) || 2000);
+const CONCURRENCY = Math.max(1, Number(process.env.JOB_CONCURRENCY) || 1);
+
+const jobs = new Map();
+let loaded = false;
+
+// HubSpot object ids; the call id becomes part of file names (job ids, data/calls/<callId>)
+export const isValidCallId = (callId) => /^[\w-]+$/.test(String(callId ?? ""));
+
+// ---------- persistence ----------
+function jobPath(id) { return path.join(JOBS_DIR, `${id}.json`); }
+
+// Per-job working directory for stage outputs (audio, transcript, analysis)
+export function jobDir(id) { return path.join(JOBS_DIR, id); }
+
+async function persist(job) {
+  await fsp.mkdir(JOBS_DIR, { recursive: true });
+  const file = jobPath(job.id);
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fsp.writeFile(tmp, JSON.stringify(job, null, 2));
+  await fsp.rename(tmp, file);
+}
+
+export function loadJobs() {
+  if (loaded) return jobs;
+  loaded = true;
+  fs.mkdirSync(JOBS_DIR, { recursive: true });
+  for (const f of fs.readdirSync(JOBS_DIR)) {
+    if (!f.endsWith(".json")) continue;
+    try {
+      const job = JSON.parse(fs.readFileSync(path.join(JOBS_DIR, f), "utf8"));
+      if (job?.id) jobs.set(job.id, job);
+    } catch (e) {
+      console.warn("[queue] Skipping unreadable job file", f, e.message);
+    }
+  }
+  return jobs;
+}
+
+// ---------- public API ----------
+/**
+ * enqueueJob({ callId, recordingUrl, options, stage?, data?, prepare? })
+ * stage/data start the job part-way (e.g. "transcribed" with a cached transcript);
+ * prepare(job) may add files to jobDir(job.id) and return more data before the job is saved.
+ */
+export async function enqueueJob({ callId, recordingUrl, options = {}, stage = null, data = {}, prepare }) {
+  loadJobs();
+  if (stage && !STAGES.includes(stage)) throw new Error(`Unknown stage "${stage}"`);
+  if (!isValidCallId(callId)) throw Object.assign(new Error(`Invalid callId: ${callId}`), { code: "INVALID_CALL_ID" });
+  const now = Date.now();
+  const job = {
+    id: `${callId}-${now.toString(36)}-${crypto.randomBytes(3).toString("hex")}`, // unique within the same ms
+    callId: String(callId),
+    recordingUrl,
+    options,
+    status: "queued",     // queued | running | retrying | done | failed | skipped
+    stage,                // last completed stage (see STAGES)
+    attempts: 0,          // attempts at the current stage
+    nextAttemptAt: now,
+    lastError: null,
+    data: { ...data },    // stage outputs (file paths, ids)
+    timings: {},          // per-stage { startedAt, finishedAt, ms }
+    metrics: {},          // pipeline detail (segments, chunk failures, LLM/HubSpot time)
+    createdAt: now,
+    updatedAt: now,
+  };
+  if (prepare) Object.assign(job.data, await prepare(job));
+  jobs.set(job.id, job);
+  await persist(job);
+  console.log("[queue] Enqueued", job.id, "for call", callId, stage ? `(from stage "${stage}")` : "");
+  kick();
+  return job;
+}
+
+/**
+ * pruneJobs(cutoffMs, { dryRun }) -> [jobId]
+ * Removes finished jobs (done / failed / skipped) last updated before cutoffMs: the job
+ * file and its working directory (audio, transcript, analysis). Retention sweep, storage/artifacts.js.
+ */
+export async function pruneJobs(cutoffMs, { dryRun = false } = {}) {
+  loadJobs();
+  const pruned = [];
+  for (const job of [...jobs.values()]) {
+    if (!["done", "failed", "skipped"].includes(job.status) || (job.updatedAt || 0) >= cutoffMs) continue;
+    if (!dryRun) {
+      await fsp.rm(jobDir(job.id), { recursive: true, force: true });
+      await fsp.rm(jobPath(job.id), { force: true });
+      jobs.delete(job.id);
+    }
+    pruned.push(job.id);
+  }
+  return pruned;
+}
+
+export function getJob(id) {
+  loadJobs();
+  return jobs.get(id) || null;
+}
+
+export function listJobs({ callId } = {}) {
+  loadJobs();
+  const all = [...jobs.values()].filter(j => !callId || j.callId === String(callId));
+  return all.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export async function updateJob(id, patch) {
+  const job = jobs.get(id);
+  if (!job) throw new Error(`Unknown job ${id}`);
+  Object.assign(job, patch, { updatedAt: Date.now() });
+  await persist(job);
+  return job;
+}
+
+// Merge pipeline detail into job.metrics (shallow, per key)
+export async function recordMetrics(id, patch) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  return updateJob(id, { metrics: { ...(job.metrics || {}), ...patch } });
+}
+
+export function nextStage(job) {
+  const i = job.stage ? STAGES.indexOf(job.stage) : -1;
+  return STAGES[i + 1] || null;
+}
+
+function backoffMs(attempts) {
+  return Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+// ---------- worker ----------
+let handlers = null;
+let timer = null;
+let running = 0;
+
+async function runJob(job) {
+  await updateJob(job.id, { status: "running" });
+  while (true) {
+    const stage = nextStage(job);
+    if (!stage) {
+      await updateJob(job.id, { status: "done", attempts: 0, lastError: null });
+      console.log(`[queue] ${job.id} done`);
+      return;
+    }
+    const handler = handlers[stage];
+    if (typeof handler !== "function") throw new Error(`No handler for stage ${stage}`);
+
+    const startedAt = Date.now();
+    const timing = () => {
+      const finishedAt = Date.now();
+      return { ...(job.timings || {}), [stage]: { startedAt, finishedAt, ms: finishedAt - startedAt } };
+    };
+    try {
+      console.log(`[queue] ${job.id} → stage "${stage}" (attempt ${job.attempts + 1})`);
+      const out = await handler(job);
+      await updateJob(job.id, { stage, attempts: 0, lastError: null, data: { ...job.data, ...(out || {}) }, timings: timing() });
+    } catch (err) {
+      job.timings = timing();
+      const msg = err?.message || String(err);
+      // EMPTY_TRANSCRIPT is silent audio only; failed transcription (TRANSCRIPTION_FAILED) is retried
+      if (err?.code === "EMPTY_TRANSCRIPT" || err?.code === "SKIP") {
+        await updateJob(job.id, { status: "skipped", lastError: msg });
+        console.warn(`[queue] ${job.id} skipped at ${stage}: ${msg}`);
+        return;
+      }
+      const attempts = job.attempts + 1;
+      if (attempts >= MAX_ATTEMPTS) {
+        await updateJob(job.id, { status: "failed", attempts, lastError: msg });
+        console.error(`[queue] ${job.id} failed at ${stage} after ${attempts} attempts:`, msg);
+        return;
+      }
+      const delay = backoffMs(attempts);
+      await updateJob(job.id, { status: "retrying", attempts, lastError: msg, nextAttemptAt: Date.now() + delay });
+      console.warn(`[queue] ${job.id} stage "${stage}" failed (attempt ${attempts}/${MAX_ATTEMPTS}), retrying in ${Math.round(delay / 1000)}s:`, msg);
+      return;
+    }
+  }
+}
+
+function dueJobs() {
+  const now = Date.now();
+  return [...jobs.values()]
+    .filter(j => (j.status === "queued" || j.status === "retrying") && (j.nextAttemptAt || 0) <= now)
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+function tick() {
+  if (!handlers) return;
+  for (const job of dueJobs()) {
+    if (running >= CONCURRENCY) break;
+    running++;
+    runJob(job)
+      .catch(err => console.error("[queue] worker error:", err?.message || err))
+      .finally(() => { running--; kick(); });
+  }
+}
+
+function kick() { setImmediate(tick); }
+
+/**
+ * startWorker(stageHandlers)
+ * stageHandlers: { downloaded, transcribed, analysed, written } — each async (job) => partial job.data
+ * Jobs left "running" by a previous process are requeued from their last completed stage.
+ */
+export async function startWorker(stageHandlers) {
+  loadJobs();
+  handlers = stageHandlers;
+  for (const job of jobs.values()) {
+    if (job.status === "running") {
+      console.log(`[queue] Resuming ${job.id} after restart (last stage: ${job.stage || "none"})`);
+      await updateJob(job.id, { status: "queued", nextAttemptAt: Date.now() });
+    }
+  }
+  if (!timer) {
+    timer = setInterval(tick, POLL_MS);
+    timer.unref?.();
+  }
+  kick();
+}
@@ -0,0 +1,104 @@
+// jobs/reprocess.js
+// Re-runs part of the pipeline for a call that was processed before, using the
+// per-call copies in jobs/callStore.js:
+//   mode "analysis"  transcript (+ speaker labels) reused → analysed → written   (no Whisper)
+//   mode "hubspot"   stored analysis reused → written                            (no Whisper, no LLM)
+//   mode "all"       the recording is downloaded and transcribed again
+// The new job updates the call's existing scorecard and timeline note instead of creating others.
+
+import fs from "fs";
+import path from "path";
+import { enqueueJob, listJobs, jobDir, isValidCallId } from "./queue.js";
+import { getCallRecord, copyCallFile } from "./callStore.js";
+
+// mode -> stage the new job starts after
+export const REPROCESS_MODES = { analysis: "transcribed", hubspot: "analysed", all: null };
+
+const ACTIVE = new Set(["queued", "running", "retrying"]);
+
+function reprocessError(message, code) {
+  return Object.assign(new Error(message), { code });
+}
+
+// Jobs that ran before the call store existed only have their job-local copy
+function fallbackFile(jobs, key) {
+  const job = jobs.find(j => j.data?.[key] && fs.existsSync(j.data[key]));
+  return job ? job.data[key] : null;
+}
+
+/**
+ * reprocessCall(callId, { mode, rediarise }) -> job
+ *   rediarise: with mode "analysis", label speakers again instead of reusing the stored labels
+ * Throws code NOT_FOUND (call never processed), NOT_CACHED (needed file missing),
+ * BUSY (a job for this call is still in progress), INVALID (unknown mode) or INVALID_CALL_ID.
+ */
+export async function reprocessCall(callId, { mode = "analysis", rediarise = false } = {}) {
+  if (!(mode in REPROCESS_MODES)) throw reprocessError(`mode must be one of ${Object.keys(REPROCESS_MODES).join(", ")}`, "INVALID");
+  const id = String(callId || "").trim();
+  if (!isValidCallId(id)) throw reprocessError(`Invalid callId: ${callId}`, "INVALID_CALL_ID");
+  const jobs = listJobs({ callId: id });
+  const record = getCallRecord(id);
+  if (!jobs.length && !record) throw reprocessError(`Call ${id} has not been processed before`, "NOT_FOUND");
+
+  const active = jobs.find(j => ACTIVE.has(j.status));
+  if (active) throw reprocessError(`Job ${active.id} for call ${id} is still ${active.status}`, "BUSY");
+
+  const latest = jobs[0] || {};
+  const recordingUrl = record?.recordingUrl || latest.recordingUrl || null;
+  const previousScorecardId = record?.scorecardId || jobs.find(j => j.data?.scorecardId)?.data.scorecardId || null;
+  const previousNoteId = record?.noteId || jobs.find(j => j.data?.noteId)?.data.noteId || null;
+  const options = {
+    ...(latest.options || {}),
+    force: true,
+    source: "reprocess",
+    reprocess: mode,
+    previousScorecardId,
+    previousNoteId,
+  };
+
+  const stage = REPROCESS_MODES[mode];
+
+  if (mode === "all") {
+    if (!recordingUrl) throw reprocessError(`No recording URL stored for call ${id}`, "NOT_CACHED");
+    return enqueueJob({ callId: id, recordingUrl, options });
+  }
+
+  if (mode === "analysis") {
+    return enqueueJob({
+      callId: id, recordingUrl, options, stage,
+      prepare: async (job) => {
+        const dir = jobDir(job.id);
+        let transcriptPath = await copyCallFile(id, "transcript", dir);
+        if (!transcriptPath) {
+          const old = fallbackFile(jobs, "transcriptPath");
+          if (!old) throw reprocessError(`No stored transcript for call ${id} — use mode "all"`, "NOT_CACHED");
+          transcriptPath = path.join(dir, "transcript.txt");
+          await fs.promises.mkdir(dir, { recursive: true });
+          await fs.promises.copyFile(old, transcriptPath);
+        }
+        if (!rediarise) await copyCallFile(id, "labelled", dir);
+        return { transcriptPath };
+      },
+    });
+  }
+
+  // mode === "hubspot"
+  const typeLabel = record?.typeLabel || latest.data?.typeLabel;
+  if (!typeLabel) throw reprocessError(`No analysed call type stored for call ${id} — use mode "analysis"`, "NOT_CACHED");
+  return enqueueJob({
+    callId: id, recordingUrl, options, stage,
+    data: { typeLabel, ownerId: record?.ownerId ?? latest.data?.ownerId ?? null, promptVersion: record?.promptVersion ?? latest.data?.promptVersion ?? null },
+    prepare: async (job) => {
+      const dir = jobDir(job.id);
+      let analysisPath = await copyCallFile(id, "analysis", dir);
+      if (!analysisPath) {
+        const old = fallbackFile(jobs, "analysisPath");
+        if (!old) throw reprocessError(`No stored analysis for call ${id} — use mode "analysis"`, "NOT_CACHED");
+        analysisPath = path.join(dir, "analysis.json");
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.copyFile(old, analysisPath);
+      }
+      return { analysisPath };
+    },
+  });
+}
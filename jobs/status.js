@@ -0,0 +1,65 @@
+// jobs/status.js
+// Read-only views of queue jobs for the /jobs endpoints.
+// Internal file paths stay on the server; only ids, stages, timings and outcomes are exposed.
+
+import { STAGES, nextStage } from "./queue.js";
+
+// Stage name → the timing bucket ops ask about
+const STAGE_LABELS = {
+  downloaded: "download",
+  transcribed: "transcription",
+  analysed: "analysis",
+  written: "hubspot",
+};
+
+export function summariseJob(job) {
+  return {
+    jobId: job.id,
+    callId: job.callId,
+    status: job.status,
+    stage: job.stage || null,      // last completed stage
+    nextStage: ["done", "skipped", "failed"].includes(job.status) ? null : nextStage(job),
+    attempts: job.attempts,
+    lastError: job.lastError,
+    scorecardId: job.data?.scorecardId || null,
+    noteId: job.data?.noteId || null,
+    createdAt: new Date(job.createdAt).toISOString(),
+    updatedAt: new Date(job.updatedAt).toISOString(),
+  };
+}
+
+export function describeJob(job) {
+  const m = job.metrics || {};
+  const timings = {};
+  for (const stage of STAGES) {
+    const t = job.timings?.[stage];
+    if (t) timings[STAGE_LABELS[stage]] = { ms: t.ms, startedAt: new Date(t.startedAt).toISOString() };
+  }
+  return {
+    ...summariseJob(job),
+    recordingUrl: job.recordingUrl,
+    options: job.options,
+    duplicateOf: job.duplicateOf || null,
+    typeLabel: job.data?.typeLabel || null,
+    promptVersion: job.data?.promptVersion || null,
+    ownerId: job.data?.ownerId || null,
+    contentHash: job.data?.contentHash || null,
+    timings,
+    detail: {
+      downloadBytes: m.downloadBytes ?? null,
+      transcriber: m.transcriber ?? null,
+      transcodeMs: m.transcodeMs ?? null,
+      segmentCount: m.segmentCount ?? null,
+      whisperMs: m.whisperMs ?? null,
+      transcriptChars: m.transcriptChars ?? null,
+      diariseMs: m.diariseMs ?? null,
+      speakerTurns: m.speakerTurns ?? null,
+      llmMs: m.llmMs ?? null,
+      llmUsage: m.llmUsage ?? null,
+      diariseUsage: m.diariseUsage ?? null,
+      hubspotMs: m.hubspotMs ?? null,
+    },
+    chunkFailures: m.chunkFailures || [],
+    schemaFailures: m.schemaFailures || [],
+  };
+}
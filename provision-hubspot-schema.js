@@ -0,0 +1,108 @@
+/**
+ * provision-hubspot-schema.js
+ * Creates the HubSpot property groups, properties and enum options the worker needs,
+ * from the single spec in config/hubspotSchema.js (replaces the old create-*-fields scripts).
+ * Shows a plan first; only --apply changes the portal, and only additively.
+ *
+ * ENV:
+ *   HUBSPOT_PRIVATE_APP_TOKEN=pat-xxx     (or HUBSPOT_TOKEN) — not needed with --source csv
+ *   SALES_PERF_OBJECT=p49487487_sales_scorecards
+ *
+ * USAGE:
+ *   node provision-hubspot-schema.js                        plan against the portal
+ *   node provision-hubspot-schema.js --source csv           plan against the CSV property exports
+ *   node provision-hubspot-schema.js --dry-run              print the requests --apply would send (works with --source csv)
+ *   node provision-hubspot-schema.js --apply                create missing groups/properties, add missing options
+ *   node provision-hubspot-schema.js --object scorecards    one object (calls | contacts | leads | scorecards); repeatable
+ */
+import path from "path";
+import { fileURLToPath } from "url";
+import { SCHEMA } from "./config/hubspotSchema.js";
+import { MAPPINGS } from "./config/mappings.js";
+import { readPortalSchema, readCsvSchema, planObject, planChanges, applyPlan } from "./hubspot/schema.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function parseArgs(argv) {
+  const args = { source: "portal", apply: false, dryRun: false, objects: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--apply") args.apply = true;
+    else if (a === "--dry-run") args.dryRun = true;
+    else if (a === "--source") args.source = argv[++i] || "";
+    else if (a === "--object") args.objects.push(argv[++i] || "");
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+  if (!["portal", "csv"].includes(args.source)) throw new Error("--source must be portal or csv");
+  if (args.dryRun) args.apply = true;
+  if (args.apply && !args.dryRun && args.source !== "portal") throw new Error("--apply plans against the portal; drop --source csv (or add --dry-run)");
+  for (const o of args.objects) if (!SCHEMA[o]) throw new Error(`Unknown object "${o}" (${Object.keys(SCHEMA).join(", ")})`);
+  return args;
+}
+
+// Properties config/mappings.js writes that the schema does not define (HubSpot's own excluded)
+function unmappedProperties() {
+  const objects = { call: "calls", scorecard: "scorecards" };
+  const missing = [];
+  for (const [mapping, fields] of Object.entries(MAPPINGS)) {
+    for (const f of fields) {
+      const key = objects[f.object || "call"];
+      if (/^(hs_|hubspot_)/.test(f.property)) continue;
+      if (!SCHEMA[key].properties.some(p => p.name === f.property)) missing.push(`${key}.${f.property} (${mapping})`);
+    }
+  }
+  return [...new Set(missing)];
+}
+
+function printPlan(key, plan) {
+  console.log(`\n== ${key} (${plan.objectType}) vs ${plan.source}`);
+  for (const g of plan.createGroups) console.log(`  + group     ${g.name} "${g.label}"`);
+  for (const p of plan.createProperties) console.log(`  + property  ${p.name} (${p.type}/${p.fieldType}, group ${p.groupName})`);
+  for (const o of plan.addOptions) console.log(`  ~ options   ${o.name}: + ${o.add.map(x => x.value).join(", ")}`);
+  for (const c of plan.conflicts) console.log(`  ! ${c.field.padEnd(9)} ${c.name}: spec ${c.want}, ${plan.source.split(":")[0]} ${c.have} (change by hand)`);
+  for (const d of plan.drift) console.log(`  · ${d.field.padEnd(9)} ${d.name}: spec "${d.want}", portal "${d.have}"`);
+  for (const n of plan.notes) console.log(`  (${n})`);
+  if (!planChanges(plan) && !plan.conflicts.length) console.log("  up to date");
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const keys = args.objects.length ? args.objects : Object.keys(SCHEMA);
+
+  const missing = unmappedProperties();
+  if (missing.length) {
+    console.warn(`[schema] written by config/mappings.js but not in config/hubspotSchema.js:\n  ${missing.join("\n  ")}`);
+  }
+
+  let changes = 0;
+  let failed = 0;
+  for (const key of keys) {
+    const spec = SCHEMA[key];
+    let current;
+    if (args.source === "csv") {
+      if (!spec.csv) {
+        console.log(`\n== ${key} (${spec.objectType}): no CSV export, checked against the portal only`);
+        for (const p of spec.properties) console.log(`  ? ${p.hubspotDefined ? "HubSpot  " : "property "} ${p.name} (${p.type}/${p.fieldType})`);
+        continue;
+      }
+      current = readCsvSchema(path.join(__dirname, spec.csv));
+    } else {
+      current = await readPortalSchema(spec.objectType);
+    }
+
+    const plan = planObject(spec, current);
+    printPlan(key, plan);
+    changes += planChanges(plan);
+
+    if (args.apply && planChanges(plan)) {
+      const result = await applyPlan(plan, { dryRun: args.dryRun });
+      failed += result.failed.length;
+    }
+  }
+
+  if (!args.apply) console.log(`\n${changes} change(s) planned.${changes ? " Run with --apply to make them (add --dry-run to preview the requests)." : ""}`);
+  else console.log(`\n${args.dryRun ? "Dry run: nothing sent." : "Done."}${failed ? ` ${failed} change(s) failed.` : ""}`);
+  if (failed) process.exitCode = 1;
+}
+
+main().catch((e) => { console.error("Failed:", e.message); process.exit(1); });
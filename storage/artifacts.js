@@ -0,0 +1,183 @@
+// storage/artifacts.js
+// Per-call artifact store: everything a job produced, kept after the job's
+// working files are gone, on a local directory or an S3-compatible bucket.
+//
+// Layout: [ARTIFACT_PREFIX]calls/<callId>/<jobId>/<kind>/<file>
+//   source/source.json             recording URL, content SHA-256, bytes
+//   audio/working.mp3|.wav         transcoded audio sent to Whisper
+//   chunks/part-000.json           per-chunk transcript { offset, text, segments, backend | error }
+//   transcript/transcript.txt      final [mm:ss] transcript (+ transcript.labelled.txt, segments.json)
+//   llm/<diarise|analysis>-attempt1-001.json   raw model replies { callType, model, content, usage, at }
+//   analysis/analysis.json         normalised analysis
+//
+// ENV:
+//   ARTIFACT_STORE=local                 local | s3 | off   (s3 settings: storage/s3Store.js)
+//   ARTIFACT_DIR=                        default <WORKER_DATA_DIR>/artifacts
+//   ARTIFACT_PREFIX=                     key prefix, e.g. "ai-call-worker/"
+//   ARTIFACT_RETENTION_DAYS=90           0 keeps artifacts forever; also the cutoff for the stored
+//                                        transcripts / analysis under <WORKER_DATA_DIR>/calls and
+//                                        finished jobs under <WORKER_DATA_DIR>/jobs
+//   ARTIFACT_AUDIO_RETENTION_DAYS=14     audio is large; 0 falls back to ARTIFACT_RETENTION_DAYS
+//   ARTIFACT_SWEEP_HOURS=24              how often the retention sweep runs
+
+import fsp from "fs/promises";
+import path from "path";
+import dotenv from "dotenv";
+import { DATA_DIR, pruneJobs, isValidCallId } from "../jobs/queue.js";
+import { pruneCallFiles } from "../jobs/callStore.js";
+import { createLocalStore } from "./localStore.js";
+import { createS3Store } from "./s3Store.js";
+dotenv.config();
+
+const KIND = String(process.env.ARTIFACT_STORE || "local").toLowerCase();
+const PREFIX = String(process.env.ARTIFACT_PREFIX || "").replace(/^\/+/, "");
+const RETENTION_DAYS = Number(process.env.ARTIFACT_RETENTION_DAYS ?? 90);
+const AUDIO_RETENTION_DAYS = Number(process.env.ARTIFACT_AUDIO_RETENTION_DAYS ?? 14);
+const SWEEP_HOURS = Number(process.env.ARTIFACT_SWEEP_HOURS) || 24;
+
+const CONTENT_TYPES = {
+  ".json": "application/json",
+  ".txt": "text/plain; charset=utf-8",
+  ".mp3": "audio/mpeg",
+  ".wav": "audio/wav",
+};
+
+let store;
+function getStore() {
+  if (store !== undefined) return store;
+  if (KIND === "off") store = null;
+  else if (KIND === "s3") store = createS3Store();
+  else if (KIND === "local") store = createLocalStore(process.env.ARTIFACT_DIR || path.join(DATA_DIR, "artifacts"));
+  else throw new Error(`Unknown ARTIFACT_STORE "${KIND}" (use local | s3 | off)`);
+  return store;
+}
+
+export function artifactStoreInfo() {
+  try {
+    const s = getStore();
+    return s ? { store: s.name, location: s.location, retentionDays: RETENTION_DAYS, audioRetentionDays: AUDIO_RETENTION_DAYS } : { store: "off" };
+  } catch (err) {
+    return { store: KIND, error: err.message };
+  }
+}
+
+// Call and job ids (job ids are "<callId>-<time>-<random>")
+const safeId = (v) => {
+  if (!isValidCallId(v)) throw Object.assign(new Error(`Invalid id for artifact key: ${v}`), { code: "INVALID_CALL_ID" });
+  return String(v);
+};
+
+const callPrefix = (callId) => `${PREFIX}calls/${safeId(callId)}/`;
+
+export function artifactKey(callId, jobId, name) {
+  const clean = String(name).split("/").filter(p => p && p !== "." && p !== "..").join("/");
+  return `${callPrefix(callId)}${safeId(jobId)}/${clean}`;
+}
+
+function contentTypeFor(key) {
+  return CONTENT_TYPES[path.extname(key).toLowerCase()] || "application/octet-stream";
+}
+
+/**
+ * putArtifact(callId, jobId, name, body) — name is "<kind>/<file>", body a string,
+ * Buffer or (for .json) any JSON value. Returns { key, size } or null when the store is off.
+ */
+export async function putArtifact(callId, jobId, name, body) {
+  const s = getStore();
+  if (!s) return null;
+  const key = artifactKey(callId, jobId, name);
+  const data = Buffer.isBuffer(body) || typeof body === "string" ? body : JSON.stringify(body, null, 2);
+  return s.put(key, data, { contentType: contentTypeFor(key) });
+}
+
+export async function putArtifactFile(callId, jobId, name, filePath) {
+  const s = getStore();
+  if (!s) return null;
+  const key = artifactKey(callId, jobId, name);
+  if (s.putFile) return s.putFile(key, filePath);
+  return s.put(key, await fsp.readFile(filePath), { contentType: contentTypeFor(key) });
+}
+
+// One stored artifact: { body, contentType } or null
+export async function getArtifact(callId, jobId, name) {
+  const s = getStore();
+  if (!s) return null;
+  const key = artifactKey(callId, jobId, name);
+  const found = await s.get(key);
+  return found ? { ...found, contentType: found.contentType || contentTypeFor(key) } : null;
+}
+
+function describeKey(item) {
+  // calls/<callId>/<jobId>/<kind>/<file>
+  const parts = item.key.slice(PREFIX.length).split("/");
+  return { callId: parts[1], jobId: parts[2], kind: parts[3], name: parts.slice(3).join("/"), ...item };
+}
+
+/**
+ * listArtifacts(callId) -> { [jobId]: [{ name, kind, size, modifiedAt, key }] }
+ */
+export async function listArtifacts(callId) {
+  const s = getStore();
+  if (!s) return {};
+  const byJob = {};
+  for (const item of await s.list(callPrefix(callId))) {
+    const { jobId, kind, name, size, modifiedAt, key } = describeKey(item);
+    if (!jobId || !kind) continue;
+    (byJob[jobId] ||= []).push({ name, kind, size, modifiedAt, key });
+  }
+  return byJob;
+}
+
+function retentionMsFor(kind) {
+  const days = kind === "audio" && AUDIO_RETENTION_DAYS > 0 ? AUDIO_RETENTION_DAYS : RETENTION_DAYS;
+  return Number.isFinite(days) && days > 0 ? days * 86_400_000 : 0;
+}
+
+/**
+ * applyRetention({ dryRun }) -> { scanned, deleted: [key], bytesFreed, callFiles: [path], jobs: [jobId] }
+ * Deletes artifacts older than their kind's retention (audio vs everything else), and with
+ * ARTIFACT_RETENTION_DAYS the worker's own copies: stored call files and finished jobs.
+ */
+export async function applyRetention({ dryRun = false, now = Date.now() } = {}) {
+  const result = { scanned: 0, deleted: [], bytesFreed: 0, callFiles: [], jobs: [], dryRun };
+
+  const keepMs = retentionMsFor("other");
+  if (keepMs) {
+    result.callFiles = await pruneCallFiles(now - keepMs, { dryRun });
+    result.jobs = await pruneJobs(now - keepMs, { dryRun });
+    if (result.callFiles.length || result.jobs.length) {
+      console.log(`[retention] ${dryRun ? "would delete" : "deleted"} ${result.callFiles.length} call file(s), ${result.jobs.length} finished job(s)`);
+    }
+  }
+
+  const s = getStore();
+  if (!s) return result;
+  for (const item of await s.list(`${PREFIX}calls/`)) {
+    result.scanned++;
+    const { kind } = describeKey(item);
+    const maxAge = retentionMsFor(kind);
+    if (!maxAge || now - Date.parse(item.modifiedAt) <= maxAge) continue;
+    if (!dryRun) await s.delete(item.key);
+    result.deleted.push(item.key);
+    result.bytesFreed += item.size;
+  }
+  if (result.deleted.length) {
+    console.log(`[artifacts] Retention ${dryRun ? "would delete" : "deleted"} ${result.deleted.length} artifact(s), ${result.bytesFreed} bytes`);
+  }
+  return result;
+}
+
+let sweepTimer = null;
+export function startRetentionSweep() {
+  if (sweepTimer) return;
+  try {
+    if (!getStore() && !retentionMsFor("other")) return;
+  } catch (err) {
+    console.warn("[artifacts] Store unavailable, retention sweep not started:", err.message);
+    return;
+  }
+  const run = () => applyRetention().catch((err) => console.warn("[artifacts] Retention sweep failed:", err.message));
+  sweepTimer = setInterval(run, SWEEP_HOURS * 3600_000);
+  sweepTimer.unref?.();
+  setTimeout(run, 60_000).unref?.();
+}
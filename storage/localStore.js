@@ -0,0 +1,81 @@
+// storage/localStore.js
+// Artifact backend on a local directory (default <WORKER_DATA_DIR>/artifacts).
+// Keys map 1:1 to relative file paths.
+
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+
+export function createLocalStore(rootDir) {
+  const root = path.resolve(rootDir);
+
+  function fileFor(key) {
+    const full = path.resolve(root, String(key));
+    if (!full.startsWith(root + path.sep)) throw new Error(`Invalid artifact key: ${key}`);
+    return full;
+  }
+
+  async function walk(dir) {
+    const entries = await fsp.readdir(dir, { withFileTypes: true }).catch(() => []);
+    const files = [];
+    for (const e of entries) {
+      const full = path.join(dir, e.name);
+      if (e.isDirectory()) files.push(...await walk(full));
+      else if (e.isFile() && !e.name.endsWith(".tmp")) files.push(full);
+    }
+    return files;
+  }
+
+  return {
+    name: "local",
+    location: root,
+
+    async put(key, body) {
+      const file = fileFor(key);
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fsp.writeFile(tmp, body);
+      await fsp.rename(tmp, file);
+      return { key, size: (await fsp.stat(file)).size };
+    },
+
+    // Large files (working audio) are copied rather than read into memory
+    async putFile(key, srcPath) {
+      const file = fileFor(key);
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      await fsp.copyFile(srcPath, file);
+      return { key, size: (await fsp.stat(file)).size };
+    },
+
+    async get(key) {
+      try {
+        return { body: await fsp.readFile(fileFor(key)), contentType: null };
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+
+    async delete(key) {
+      const file = fileFor(key);
+      await fsp.unlink(file).catch((err) => { if (err.code !== "ENOENT") throw err; });
+      // Tidy empty parent directories up to the root
+      for (let dir = path.dirname(file); dir.startsWith(root + path.sep); dir = path.dirname(dir)) {
+        try { fs.rmdirSync(dir); } catch { break; }
+      }
+    },
+
+    async list(prefix = "") {
+      const start = path.join(root, path.dirname(`${prefix}x`));
+      const files = await walk(start.startsWith(root) ? start : root);
+      const out = [];
+      for (const file of files) {
+        const key = path.relative(root, file).split(path.sep).join("/");
+        if (!key.startsWith(prefix)) continue;
+        const st = await fsp.stat(file).catch(() => null);
+        if (st) out.push({ key, size: st.size, modifiedAt: st.mtime.toISOString() });
+      }
+      return out.sort((a, b) => a.key.localeCompare(b.key));
+    },
+  };
+}
@@ -0,0 +1,172 @@
+// storage/s3Store.js
+// Minimal S3-compatible object store (AWS S3, MinIO, Cloudflare R2, Backblaze B2 ...)
+// using hand-rolled Signature V4 — no AWS SDK.
+//
+// ENV:
+//   ARTIFACT_S3_BUCKET=                 required
+//   ARTIFACT_S3_REGION=eu-west-2        ("auto" for R2)
+//   ARTIFACT_S3_ENDPOINT=               e.g. http://localhost:9000 (MinIO); default https://s3.<region>.amazonaws.com
+//   ARTIFACT_S3_FORCE_PATH_STYLE=       true → <endpoint>/<bucket>/<key>; default true when ARTIFACT_S3_ENDPOINT is set
+//   ARTIFACT_S3_ACCESS_KEY_ID=          default AWS_ACCESS_KEY_ID
+//   ARTIFACT_S3_SECRET_ACCESS_KEY=      default AWS_SECRET_ACCESS_KEY
+//   AWS_SESSION_TOKEN=                  optional (temporary credentials)
+//   ARTIFACT_S3_TIMEOUT_MS=60000
+
+import crypto from "crypto";
+import fetch from "node-fetch";
+import dotenv from "dotenv";
+dotenv.config();
+
+const sha256hex = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+
+function encodeRfc3986(s) {
+  return encodeURIComponent(s).replace(/[!'()*]/g, c => "%" + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+const encodeKey = (key) => String(key).split("/").map(encodeRfc3986).join("/");
+
+function queryString(query = {}) {
+  return Object.entries(query)
+    .filter(([, v]) => v != null)
+    .map(([k, v]) => [encodeRfc3986(k), encodeRfc3986(String(v))])
+    .sort(([a, av], [b, bv]) => (a < b ? -1 : a > b ? 1 : av < bv ? -1 : av > bv ? 1 : 0))
+    .map(([k, v]) => `${k}=${v}`)
+    .join("&");
+}
+
+/**
+ * signS3Request({ method, url, headers, payloadHash, region, accessKeyId, secretAccessKey, sessionToken, now })
+ *   -> headers to send (adds host, x-amz-date, x-amz-content-sha256, Authorization)
+ * url must already carry the encoded path and a sorted, RFC 3986-encoded query (see queryString).
+ */
+export function signS3Request({ method, url, headers = {}, payloadHash, region, accessKeyId, secretAccessKey, sessionToken, now = new Date() }) {
+  const u = new URL(url);
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, "");
+  const date = amzDate.slice(0, 8);
+
+  const all = { ...headers, host: u.host, "x-amz-date": amzDate, "x-amz-content-sha256": payloadHash };
+  if (sessionToken) all["x-amz-security-token"] = sessionToken;
+  const lower = Object.fromEntries(Object.entries(all).map(([k, v]) => [k.toLowerCase(), String(v).trim().replace(/\s+/g, " ")]));
+  const names = Object.keys(lower).sort();
+
+  const canonical = [
+    method,
+    u.pathname || "/",
+    u.search.replace(/^\?/, ""),
+    names.map(n => `${n}:${lower[n]}\n`).join(""),
+    names.join(";"),
+    payloadHash,
+  ].join("\n");
+
+  const scope = `${date}/${region}/s3/aws4_request`;
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256hex(canonical)].join("\n");
+  const key = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, date), region), "s3"), "aws4_request");
+  const signature = crypto.createHmac("sha256", key).update(stringToSign).digest("hex");
+
+  const out = { ...headers, "x-amz-date": amzDate, "x-amz-content-sha256": payloadHash };
+  if (sessionToken) out["x-amz-security-token"] = sessionToken;
+  out.Authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(";")}, Signature=${signature}`;
+  return out;
+}
+
+function decodeXml(s) {
+  return String(s)
+    .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(Number(n)))
+    .replace(/&amp;/g, "&");
+}
+
+const tag = (xml, name) => {
+  const m = xml.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`));
+  return m ? decodeXml(m[1]) : null;
+};
+
+export function createS3Store() {
+  const bucket = process.env.ARTIFACT_S3_BUCKET;
+  const region = process.env.ARTIFACT_S3_REGION || process.env.AWS_REGION || "us-east-1";
+  const accessKeyId = process.env.ARTIFACT_S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID;
+  const secretAccessKey = process.env.ARTIFACT_S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY;
+  const sessionToken = process.env.AWS_SESSION_TOKEN || undefined;
+  const customEndpoint = (process.env.ARTIFACT_S3_ENDPOINT || "").replace(/\/+$/, "");
+  const pathStyle = process.env.ARTIFACT_S3_FORCE_PATH_STYLE
+    ? /^(1|true|yes)$/i.test(process.env.ARTIFACT_S3_FORCE_PATH_STYLE)
+    : !!customEndpoint;
+  const timeoutMs = Number(process.env.ARTIFACT_S3_TIMEOUT_MS) || 60_000;
+
+  if (!bucket) throw new Error("ARTIFACT_S3_BUCKET is required for ARTIFACT_STORE=s3");
+  if (!accessKeyId || !secretAccessKey) throw new Error("ARTIFACT_S3_ACCESS_KEY_ID / ARTIFACT_S3_SECRET_ACCESS_KEY (or AWS_*) are required for ARTIFACT_STORE=s3");
+
+  const endpoint = customEndpoint || `https://s3.${region}.amazonaws.com`;
+  function objectUrl(key = "", query) {
+    const qs = query ? `?${queryString(query)}` : "";
+    if (pathStyle) return `${endpoint}/${bucket}/${encodeKey(key)}${qs}`;
+    const u = new URL(endpoint);
+    return `${u.protocol}//${bucket}.${u.host}/${encodeKey(key)}${qs}`;
+  }
+
+  async function request(method, key, { query, body, headers = {} } = {}) {
+    const url = objectUrl(key, query);
+    const payload = body ?? "";
+    const signed = signS3Request({
+      method, url, headers, payloadHash: sha256hex(payload),
+      region, accessKeyId, secretAccessKey, sessionToken,
+    });
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+    try {
+      return await fetch(url, { method, headers: signed, body: method === "PUT" ? payload : undefined, signal: ctrl.signal });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function fail(res, what) {
+    const text = await res.text().catch(() => "");
+    throw new Error(`S3 ${what} -> ${res.status} ${tag(text, "Code") || ""} ${tag(text, "Message") || text.slice(0, 200)}`.trim());
+  }
+
+  return {
+    name: "s3",
+    location: `s3://${bucket}${customEndpoint ? ` @ ${customEndpoint}` : ""}`,
+
+    async put(key, body, { contentType = "application/octet-stream" } = {}) {
+      const buf = Buffer.isBuffer(body) ? body : Buffer.from(String(body));
+      const res = await request("PUT", key, { body: buf, headers: { "content-type": contentType, "content-length": String(buf.length) } });
+      if (!res.ok) await fail(res, `PUT ${key}`);
+      return { key, size: buf.length };
+    },
+
+    async get(key) {
+      const res = await request("GET", key);
+      if (res.status === 404) return null;
+      if (!res.ok) await fail(res, `GET ${key}`);
+      return { body: Buffer.from(await res.arrayBuffer()), contentType: res.headers.get("content-type") || null };
+    },
+
+    async delete(key) {
+      const res = await request("DELETE", key);
+      if (!res.ok && res.status !== 404) await fail(res, `DELETE ${key}`);
+    },
+
+    // ListObjectsV2, following continuation tokens
+    async list(prefix = "") {
+      const out = [];
+      let token = null;
+      do {
+        const res = await request("GET", "", { query: { "list-type": "2", prefix, "continuation-token": token } });
+        if (!res.ok) await fail(res, `LIST ${prefix}`);
+        const xml = await res.text();
+        for (const m of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+          out.push({
+            key: tag(m[1], "Key"),
+            size: Number(tag(m[1], "Size")) || 0,
+            modifiedAt: new Date(tag(m[1], "LastModified")).toISOString(),
+          });
+        }
+        token = tag(xml, "IsTruncated") === "true" ? tag(xml, "NextContinuationToken") : null;
+      } while (token);
+      return out;
+    },
+  };
+}
@@ -0,0 +1,73 @@
+// zoom/intake.js
+// Turns a Zoom "recording.completed" event into a HubSpot call id + recording URL
+// ready for the processing queue.
+
+import { pickBestRecordingFile, getMeetingParticipantEmails } from "./zoom.js";
+import {
+  findContactsByEmails,
+  findOwnerIdByEmail,
+  findCallForMeeting,
+  createCall,
+} from "../hubspot/hubspot.js";
+
+/**
+ * recordingOf(event) -> { meetingUuid, recordingUrl } | null
+ * Known before any HubSpot lookup, so a redelivered webhook can be recognised without
+ * resolving (or creating) the call again.
+ */
+export function recordingOf(event = {}) {
+  const meeting = event?.payload?.object || {};
+  const file = pickBestRecordingFile(meeting.recording_files || []);
+  return file ? { meetingUuid: meeting.uuid ? String(meeting.uuid) : null, recordingUrl: file.download_url } : null;
+}
+
+/**
+ * resolveRecordingCompleted(event) -> { callId, recordingUrl, createdCall, contactIds } | null
+ * Returns null when the event has no usable recording file.
+ */
+export async function resolveRecordingCompleted(event = {}) {
+  const meeting = event?.payload?.object || {};
+  const file = pickBestRecordingFile(meeting.recording_files || []);
+  if (!file) {
+    console.warn("[zoom] recording.completed without a usable audio/video file:", meeting.uuid);
+    return null;
+  }
+  console.log(`[zoom] Meeting ${meeting.uuid} "${meeting.topic}" → using ${file.file_type} (${file.recording_type || "n/a"})`);
+
+  let emails = [];
+  try {
+    emails = await getMeetingParticipantEmails(meeting.uuid, meeting.host_email);
+  } catch (err) {
+    console.warn("[zoom] Participant lookup failed:", err.message);
+  }
+
+  const contacts = await findContactsByEmails(emails);
+  const contactIds = contacts.map(c => String(c.id));
+  console.log("[zoom] Participants", emails, "→ contacts", contactIds);
+
+  const startTime = file.recording_start || meeting.start_time;
+  const endTime = file.recording_end || startTime;
+
+  let call = await findCallForMeeting({ meetingUuid: meeting.uuid, contactIds, startTime, endTime });
+  let createdCall = false;
+  if (call) {
+    console.log("[zoom] Matched existing HubSpot call", call.id);
+  } else {
+    if (!contactIds.length) {
+      console.warn("[zoom] No HubSpot contacts matched participants — creating an unassociated call.");
+    }
+    const ownerId = await findOwnerIdByEmail(meeting.host_email);
+    call = await createCall({
+      title: meeting.topic,
+      timestamp: startTime,
+      durationMs: Number(meeting.duration) ? Number(meeting.duration) * 60_000 : undefined,
+      ownerId,
+      meetingUuid: meeting.uuid,
+      recordingUrl: file.download_url,
+      contactIds,
+    });
+    createdCall = true;
+  }
+
+  return { callId: String(call.id), recordingUrl: file.download_url, createdCall, contactIds };
+}
@@ -0,0 +1,166 @@
+// zoom/zoom.js
+// Zoom server-to-server OAuth client + webhook helpers.
+//
+// ENV:
+//   ZOOM_ACCOUNT_ID / ZOOM_CLIENT_ID / ZOOM_CLIENT_SECRET   (S2S OAuth app)
+//   ZOOM_WEBHOOK_SECRET_TOKEN                               (Event subscription secret token)
+//   ZOOM_INTERNAL_EMAIL_DOMAINS=tlpi.co.uk,...              (participants to ignore when matching prospects)
+
+import crypto from "crypto";
+import dotenv from "dotenv";
+dotenv.config();
+
+const ZOOM_API = "https://api.zoom.us/v2";
+const WEBHOOK_SECRET = process.env.ZOOM_WEBHOOK_SECRET_TOKEN || "";
+const MAX_AGE_MS = Number(process.env.ZOOM_SIGNATURE_MAX_AGE_MS) || 5 * 60_000;
+
+let _zoomTokenCache = { token: null, expiresAt: 0 };
+
+function _basicAuthHeader(user, pass) {
+  const raw = `${user}:${pass}`;
+  return "Basic " + Buffer.from(raw).toString("base64");
+}
+
+export async function getZoomAccessToken() {
+  const accountId = process.env.ZOOM_ACCOUNT_ID;
+  const clientId = process.env.ZOOM_CLIENT_ID;
+  const clientSecret = process.env.ZOOM_CLIENT_SECRET;
+
+  if (!accountId || !clientId || !clientSecret) {
+    throw new Error("Missing Zoom env vars: ZOOM_ACCOUNT_ID / ZOOM_CLIENT_ID / ZOOM_CLIENT_SECRET");
+  }
+
+  const now = Date.now();
+  if (_zoomTokenCache.token && now < _zoomTokenCache.expiresAt) {
+    return _zoomTokenCache.token;
+  }
+
+  const tokenUrl = `https://zoom.us/oauth/token?grant_type=account_credentials&account_id=${encodeURIComponent(accountId)}`;
+
+  const res = await fetch(tokenUrl, {
+    method: "POST",
+    headers: {
+      Authorization: _basicAuthHeader(clientId, clientSecret),
+    },
+  });
+
+  if (!res.ok) {
+    const t = await res.text().catch(() => "");
+    throw new Error(`Zoom token request failed: ${res.status} ${t.slice(0, 200)}`);
+  }
+
+  const js = await res.json();
+  const token = js.access_token;
+  const expiresIn = Number(js.expires_in || 3600);
+
+  if (!token) throw new Error("Zoom token response missing access_token");
+
+  // refresh ~60s early
+  _zoomTokenCache.token = token;
+  _zoomTokenCache.expiresAt = Date.now() + Math.max(0, (expiresIn - 60)) * 1000;
+
+  return token;
+}
+
+export function isZoomRecordingUrl(rawUrl) {
+  try {
+    const u = new URL(rawUrl);
+    return /zoom\.us$/i.test(u.hostname) && /\/rec\/(webhook_download|download)\//.test(u.pathname);
+  } catch {
+    return false;
+  }
+}
+
+// Adds a fresh OAuth token to Zoom recording download URLs; other URLs pass through.
+// Called at download time so queued/retried jobs never carry an expired token.
+export async function getZoomDownloadUrl(rawUrl) {
+  if (!isZoomRecordingUrl(rawUrl)) return rawUrl;
+
+  const u = new URL(rawUrl);
+  const token = await getZoomAccessToken();
+  if (!u.searchParams.has("access_token")) u.searchParams.set("access_token", token);
+  return u.toString();
+}
+
+async function zoomGet(pathAndQuery) {
+  const token = await getZoomAccessToken();
+  const res = await fetch(`${ZOOM_API}${pathAndQuery}`, { headers: { Authorization: `Bearer ${token}` } });
+  if (!res.ok) {
+    const t = await res.text().catch(() => "");
+    throw new Error(`Zoom GET ${pathAndQuery} -> ${res.status} ${t.slice(0, 200)}`);
+  }
+  return res.json();
+}
+
+// ---------- webhook verification ----------
+export function verifyZoomSignature(req, secret = WEBHOOK_SECRET) {
+  if (!secret) return { ok: false, reason: "ZOOM_WEBHOOK_SECRET_TOKEN not configured" };
+  const signature = req.get("x-zm-signature");
+  const timestamp = req.get("x-zm-request-timestamp");
+  if (!signature || !timestamp) return { ok: false, reason: "missing x-zm-signature headers" };
+
+  const tsMs = Number(timestamp) * 1000;
+  if (!Number.isFinite(tsMs) || Math.abs(Date.now() - tsMs) > MAX_AGE_MS) {
+    return { ok: false, reason: "stale or invalid timestamp" };
+  }
+
+  const body = req.rawBody ? req.rawBody.toString("utf8") : "";
+  const expected = "v0=" + crypto.createHmac("sha256", secret).update(`v0:${timestamp}:${body}`).digest("hex");
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(signature));
+  return a.length === b.length && crypto.timingSafeEqual(a, b) ? { ok: true } : { ok: false, reason: "signature mismatch" };
+}
+
+// Response to Zoom's "endpoint.url_validation" challenge
+export function urlValidationResponse(plainToken, secret = WEBHOOK_SECRET) {
+  const encryptedToken = crypto.createHmac("sha256", secret).update(String(plainToken)).digest("hex");
+  return { plainToken, encryptedToken };
+}
+
+// ---------- recordings ----------
+// Best file for transcription: audio-only M4A, else the smallest completed MP4.
+export function pickBestRecordingFile(recordingFiles = []) {
+  const usable = recordingFiles.filter(f =>
+    f?.download_url && (!f.status || String(f.status).toLowerCase() === "completed"));
+
+  const audio = usable.filter(f => String(f.file_type).toUpperCase() === "M4A" || f.recording_type === "audio_only");
+  if (audio.length) return audio.sort((a, b) => (a.file_size || 0) - (b.file_size || 0))[0];
+
+  const video = usable.filter(f => String(f.file_type).toUpperCase() === "MP4");
+  if (video.length) return video.sort((a, b) => (a.file_size || 0) - (b.file_size || 0))[0];
+
+  return null;
+}
+
+// Zoom requires double-encoding UUIDs that start with "/" or contain "//"
+function encodeMeetingUuid(uuid) {
+  const s = String(uuid);
+  return s.startsWith("/") || s.includes("//") ? encodeURIComponent(encodeURIComponent(s)) : encodeURIComponent(s);
+}
+
+function internalDomains() {
+  return (process.env.ZOOM_INTERNAL_EMAIL_DOMAINS || "")
+    .split(",").map(d => d.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * getMeetingParticipantEmails(meetingUuid, hostEmail)
+ * Returns unique participant emails, excluding the host and internal domains.
+ */
+export async function getMeetingParticipantEmails(meetingUuid, hostEmail = "") {
+  const emails = new Set();
+  let next = "";
+  do {
+    const qs = `?page_size=300${next ? `&next_page_token=${encodeURIComponent(next)}` : ""}`;
+    const data = await zoomGet(`/past_meetings/${encodeMeetingUuid(meetingUuid)}/participants${qs}`);
+    for (const p of data?.participants || []) {
+      const e = String(p.user_email || p.email || "").trim().toLowerCase();
+      if (e) emails.add(e);
+    }
+    next = data?.next_page_token || "";
+  } while (next);
+
+  const host = String(hostEmail || "").toLowerCase();
+  const internal = internalDomains();
+  return [...emails].filter(e => e !== host && !internal.some(d => e.endsWith(`@${d}`)));
+}